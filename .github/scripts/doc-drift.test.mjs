@@ -0,0 +1,1470 @@
+/**
+ * Tests for doc-drift.mjs and its modules. Run with:
+ *   node --test .github/scripts/doc-drift.test.mjs
+ */
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import http from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { mergeReports, planAnalysisBatches } from "./doc-drift/ai-analysis.mjs";
+import { applyBaseline, loadBaseline, refreshBaseline } from "./doc-drift/baseline.mjs";
+import { processPRFiles } from "./doc-drift/changes.mjs";
+import { extractConfigChanges } from "./doc-drift/config-surface.mjs";
+import { Config } from "./doc-drift/config.mjs";
+import { buildChunkIndex, rankChunks, tokenizeIdentifiers } from "./doc-drift/documents.mjs";
+import { buildDocumentationEvidence, createDocument } from "./doc-drift/evidence.mjs";
+import { parseNameStatus, splitUnifiedDiff } from "./doc-drift/git.mjs";
+import { findReportComment } from "./doc-drift/github.mjs";
+import { groundFindings } from "./doc-drift/grounding.mjs";
+import { fetchWithRetry, getRetryDelay } from "./doc-drift/http.mjs";
+import {
+  applyDismissCommands,
+  parseReportState,
+  renderReportState,
+  trackFindings,
+} from "./doc-drift/lifecycle.mjs";
+import { extractDependencyChanges } from "./doc-drift/manifests.mjs";
+import { PromptTemplates, loadPromptTemplates } from "./doc-drift/prompts.mjs";
+import { LLM_PROVIDERS } from "./doc-drift/providers.mjs";
+import { parseRepoConfig, validateSchema } from "./doc-drift/repo-config.mjs";
+import { analyzeDriftWithRules } from "./doc-drift/rule-analysis.mjs";
+import { extractApiChanges } from "./doc-drift/schema-diff.mjs";
+import { extractDocRelevantTokens } from "./doc-drift/tokens.mjs";
+
+/* ============================================================================
+   LLM PROVIDERS
+============================================================================ */
+
+const REPORT = { drift_detected: false, findings: [] };
+const SCHEMA = { type: "object" };
+const MESSAGES = [
+  { role: "system", content: "You are a documentation drift detector." },
+  { role: "user", content: '{"goal":"..."}' },
+];
+
+/**
+ * Canned successful responses, keyed by the path each provider posts to.
+ */
+const RESPONSES = {
+  "/responses": {
+    output: [
+      { type: "reasoning", summary: [] },
+      { type: "message", content: [{ type: "output_text", text: JSON.stringify(REPORT) }] },
+    ],
+  },
+  "/chat/completions": { choices: [{ message: { content: JSON.stringify(REPORT) } }] },
+  "/v1/messages": { content: [{ type: "tool_use", name: "doc_drift_report", input: REPORT }] },
+  "/api/chat": { message: { content: JSON.stringify(REPORT) } },
+};
+
+describe("LLM providers", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let status;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const url = new URL(req.url, baseUrl);
+        requests.push({ url, headers: req.headers, body: JSON.parse(body) });
+
+        res.statusCode = status;
+        res.setHeader("content-type", "application/json");
+        const route = Object.keys(RESPONSES).find((path) => url.pathname.endsWith(path));
+        res.end(JSON.stringify(status === 200 ? RESPONSES[route] : { error: "bad request" }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    status = 200;
+  });
+
+  const call = (name, settings = {}) =>
+    LLM_PROVIDERS[name].call(
+      { model: "test-model", apiKey: "key", baseUrl, ...settings },
+      MESSAGES,
+      SCHEMA
+    );
+
+  it("openai posts to the Responses API with a strict JSON schema", async () => {
+    assert.deepEqual(await call("openai"), REPORT);
+
+    const [request] = requests;
+    assert.equal(request.url.pathname, "/responses");
+    assert.equal(request.headers.authorization, "Bearer key");
+    assert.equal(request.body.model, "test-model");
+    assert.deepEqual(request.body.input, MESSAGES);
+    assert.deepEqual(request.body.text.format, {
+      type: "json_schema",
+      name: "doc_drift_report",
+      schema: SCHEMA,
+      strict: true,
+    });
+  });
+
+  it("azure-openai posts to the deployment with an api-key header", async () => {
+    assert.deepEqual(await call("azure-openai"), REPORT);
+
+    const [request] = requests;
+    assert.equal(request.url.pathname, "/openai/deployments/test-model/chat/completions");
+    assert.ok(request.url.searchParams.get("api-version"));
+    assert.equal(request.headers["api-key"], "key");
+    assert.equal(request.body.model, undefined);
+    assert.deepEqual(request.body.messages, MESSAGES);
+    assert.equal(request.body.response_format.json_schema.strict, true);
+  });
+
+  it("openai-compatible posts to Chat Completions, without a key if none is set", async () => {
+    assert.deepEqual(await call("openai-compatible", { apiKey: undefined }), REPORT);
+
+    const [request] = requests;
+    assert.equal(request.url.pathname, "/chat/completions");
+    assert.equal(request.headers.authorization, undefined);
+    assert.equal(request.body.model, "test-model");
+    assert.deepEqual(request.body.response_format.json_schema.schema, SCHEMA);
+  });
+
+  it("anthropic moves the system prompt out and forces the report tool", async () => {
+    assert.deepEqual(await call("anthropic"), REPORT);
+
+    const [request] = requests;
+    assert.equal(request.url.pathname, "/v1/messages");
+    assert.equal(request.headers["x-api-key"], "key");
+    assert.ok(request.headers["anthropic-version"]);
+    assert.equal(request.body.system, MESSAGES[0].content);
+    assert.deepEqual(request.body.messages, [MESSAGES[1]]);
+    assert.deepEqual(request.body.tools[0].input_schema, SCHEMA);
+    assert.deepEqual(request.body.tool_choice, { type: "tool", name: "doc_drift_report" });
+  });
+
+  it("ollama sends the schema as the format and disables streaming", async () => {
+    assert.deepEqual(await call("ollama", { apiKey: undefined }), REPORT);
+
+    const [request] = requests;
+    assert.equal(request.url.pathname, "/api/chat");
+    assert.deepEqual(request.body.format, SCHEMA);
+    assert.equal(request.body.stream, false);
+  });
+
+  for (const name of Object.keys(LLM_PROVIDERS)) {
+    it(`${name} fails on a 4xx response without retrying`, async () => {
+      status = 400;
+
+      await assert.rejects(call(name), (error) => {
+        assert.match(error.message, /API error \(400\): .*bad request/);
+        assert.equal(error.status, 400);
+        assert.equal(error.transient, false);
+        return true;
+      });
+      assert.equal(requests.length, 1);
+    });
+  }
+});
+
+/* ============================================================================
+   LEXICAL RANKING
+============================================================================ */
+
+describe("tokenizeIdentifiers", () => {
+  it("splits identifiers into words and drops plurals, stop words and versions", () => {
+    assert.deepEqual(tokenizeIdentifiers("@tanstack/react-query"), ["tanstack", "react", "query"]);
+    assert.deepEqual(tokenizeIdentifiers("getUserById"), ["get", "user", "by", "id"]);
+    assert.deepEqual(tokenizeIdentifiers("HTTPServer parseJSONBody"), [
+      "http",
+      "server",
+      "parse",
+      "json",
+      "body",
+    ]);
+    assert.deepEqual(tokenizeIdentifiers("the teams endpoints v2 2024 class x"), [
+      "team",
+      "endpoint",
+      "class",
+    ]);
+  });
+});
+
+describe("evidence ranking", () => {
+  const maxSnippetsPerToken = Config.limits.maxSnippetsPerToken;
+  after(() => {
+    Config.limits.maxSnippetsPerToken = maxSnippetsPerToken;
+  });
+
+  const guide = createDocument(
+    { path: "docs/pagination.md" },
+    `# Pagination
+
+## Page size
+
+Pass \`--page-size\` to choose how many items come back.
+
+Larger page sizes make fewer requests but slower responses.
+
+## Cursors
+
+Each response includes a cursor for the next request.
+`
+  );
+  const faq = createDocument(
+    { path: "docs/faq.md" },
+    "# FAQ\n\nWhy is the default page size 50? It keeps responses fast.\n"
+  );
+  const index = buildChunkIndex([guide, faq]);
+  const lines = (matches) => matches.map(({ chunk, exact }) => [chunk.startLine, exact]);
+
+  it("ranks exact matches before related ones, and relates only changed terms", () => {
+    const term = (change) => ({ token: "--page-size", change });
+
+    assert.deepEqual(lines(rankChunks(index, guide, term("removed"))), [
+      [5, true],
+      [7, false],
+    ]);
+    assert.deepEqual(lines(rankChunks(index, guide, term("moved"))), [[5, true]]);
+  });
+
+  it("keeps the best maxSnippetsPerToken matches", () => {
+    Config.limits.maxSnippetsPerToken = 1;
+
+    assert.deepEqual(lines(rankChunks(index, guide, { token: "--page-size", change: "removed" })), [
+      [5, true],
+    ]);
+  });
+
+  it("keeps the most relevant passages within the evidence budget", () => {
+    Config.limits.maxSnippetsPerToken = 3;
+    const changes = processPRFiles([
+      {
+        filename: "src/cli.js",
+        status: "modified",
+        patch:
+          "@@ -1,3 +1,3 @@\n program\n" +
+          '-  .option("--page-size <n>", "Items per page")\n' +
+          '+  .option("--limit <n>", "Items per page")\n' +
+          "   .parse();",
+      },
+    ]);
+    const keptPassages = (budget) =>
+      buildDocumentationEvidence([guide, faq], changes, { budget }).map((docEvidence) => ({
+        url: docEvidence.url,
+        hits: docEvidence.hits.map((hit) => [hit.start_line, hit.match]),
+        omitted: docEvidence.omitted_passages,
+      }));
+
+    assert.deepEqual(keptPassages(Infinity), [
+      {
+        url: "docs/pagination.md",
+        hits: [
+          [5, "exact"],
+          [7, "related"],
+        ],
+        omitted: undefined,
+      },
+      { url: "docs/faq.md", hits: [[3, "related"]], omitted: undefined },
+    ]);
+    assert.deepEqual(keptPassages(200), [
+      {
+        url: "docs/pagination.md",
+        hits: [
+          [5, "exact"],
+          [7, "related"],
+        ],
+        omitted: undefined,
+      },
+      { url: "docs/faq.md", hits: [], omitted: 1 },
+    ]);
+    assert.deepEqual(keptPassages(100), [
+      { url: "docs/pagination.md", hits: [[5, "exact"]], omitted: 1 },
+      { url: "docs/faq.md", hits: [], omitted: 1 },
+    ]);
+  });
+});
+
+/* ============================================================================
+   HTTP
+============================================================================ */
+
+describe("fetchWithRetry", () => {
+  const network = { ...Config.network };
+  let server;
+  let url;
+  // One handler per expected request, in order
+  let handlers;
+  let requestCount;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requestCount++;
+      req.resume();
+      req.on("end", () => handlers.shift()(res));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/responses`;
+  });
+
+  after(() => {
+    Object.assign(Config.network, network);
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    Object.assign(Config.network, { maxRetries: 2, retryBaseDelayMs: 1, modelTimeoutMs: 300 });
+    requestCount = 0;
+  });
+
+  const reply =
+    (status, body, headers = {}) =>
+    (res) => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    };
+  // Sends the headers and half of the body, then never finishes
+  const stallMidBody = (res) => {
+    res.writeHead(200, { "content-type": "application/json", "content-length": "200" });
+    res.write('{"output": [');
+  };
+  const resetMidBody = (res) => {
+    res.writeHead(200, { "content-type": "application/json", "content-length": "200" });
+    res.write('{"output": [', () => res.socket.destroy());
+  };
+  const openAIResponse = {
+    output: [{ type: "message", content: [{ type: "output_text", text: JSON.stringify(REPORT) }] }],
+  };
+  const callOpenAI = () =>
+    LLM_PROVIDERS.openai.call(
+      { model: "test-model", apiKey: "key", baseUrl: url.replace("/responses", "") },
+      MESSAGES,
+      SCHEMA
+    );
+
+  it("retries a model call whose response body stalls", async () => {
+    handlers = [stallMidBody, reply(200, openAIResponse)];
+
+    assert.deepEqual(await callOpenAI(), REPORT);
+    assert.equal(requestCount, 2);
+  });
+
+  it("retries a model call whose connection resets mid-body", async () => {
+    handlers = [resetMidBody, reply(200, openAIResponse)];
+
+    assert.deepEqual(await callOpenAI(), REPORT);
+    assert.equal(requestCount, 2);
+  });
+
+  it("fails with a transient error once the retries run out", async () => {
+    handlers = [stallMidBody, stallMidBody, stallMidBody];
+
+    await assert.rejects(callOpenAI(), (error) => {
+      assert.match(error.message, /failed after 3 attempt\(s\): timed out after 300ms/);
+      assert.equal(error.transient, true);
+      return true;
+    });
+    assert.equal(requestCount, 3);
+  });
+
+  it("retries transient statuses and returns other statuses as they are", async () => {
+    handlers = [reply(503, "busy", { "retry-after": "0" }), reply(404, "not found")];
+
+    const response = await fetchWithRetry(url, {}, { label: "test", timeoutMs: 300 });
+    assert.deepEqual([response.status, response.ok, response.text], [404, false, "not found"]);
+    assert.equal(requestCount, 2);
+  });
+});
+
+describe("getRetryDelay", () => {
+  const network = { ...Config.network };
+  after(() => Object.assign(Config.network, network));
+  beforeEach(() => {
+    Object.assign(Config.network, { retryBaseDelayMs: 1000, maxRetryDelayMs: 60000 });
+  });
+
+  it("waits as long as Retry-After asks, in seconds or until an HTTP date", () => {
+    assert.equal(getRetryDelay(0, "2"), 2000);
+    assert.equal(getRetryDelay(3, "0"), 0);
+
+    const delay = getRetryDelay(0, new Date(Date.now() + 10000).toUTCString());
+    assert.ok(delay > 8000 && delay <= 10000, `unexpected delay ${delay}`);
+  });
+
+  it("caps Retry-After at maxRetryDelayMs", () => {
+    assert.equal(getRetryDelay(0, "3600"), 60000);
+  });
+
+  it("falls back to jittered backoff for past dates and unreadable values", () => {
+    for (const retryAfter of [null, "soon", new Date(Date.now() - 10000).toUTCString()]) {
+      const delay = getRetryDelay(2, retryAfter);
+      assert.ok(delay >= 2000 && delay <= 4000, `unexpected delay ${delay} for ${retryAfter}`);
+    }
+    assert.equal(getRetryDelay(10, null) <= 60000, true);
+  });
+});
+
+/* ============================================================================
+   REPOSITORY CONFIG FILE
+============================================================================ */
+
+describe("parseRepoConfig", () => {
+  const parse = (text) => parseRepoConfig(text, ".doc-drift.yml");
+
+  it("returns a valid config unchanged, and an empty file as {}", () => {
+    assert.deepEqual(parse("version: 1\ndrift:\n  mode: rules\n"), {
+      version: 1,
+      drift: { mode: "rules" },
+    });
+    assert.deepEqual(parse(""), {});
+  });
+
+  it("reports every schema problem at once, with its path", () => {
+    const text = `version: 1
+llm:
+  max_output_tokens: lots
+drift:
+  mode: fast
+  confidence_treshold: 0.8
+grounding:
+  min_excerpt_score: 2
+paths:
+  routes:
+    - paths: []
+`;
+
+    assert.throws(() => parse(text), {
+      message: [
+        "Invalid .doc-drift.yml:",
+        "  - llm.max_output_tokens: must be an integer",
+        '  - drift.mode: must be one of "llm", "rules"',
+        '  - drift.confidence_treshold: unknown setting (did you mean "confidence_threshold"?)',
+        "  - grounding.min_excerpt_score: must be at most 1",
+        '  - paths.routes[0]: missing required setting "docs"',
+        "  - paths.routes[0].paths: must have at least 1 item",
+      ].join("\n"),
+    });
+  });
+
+  it("checks doc sources for a url or path once the schema passes", () => {
+    assert.throws(() => parse("sources:\n  - path: docs/*.md\n  - title: Wiki\n"), {
+      message: 'Invalid .doc-drift.yml:\n  - sources[1]: must have a "url" or a "path"',
+    });
+  });
+
+  it("names the file when it is not valid YAML", () => {
+    assert.throws(() => parse("drift: [oops"), /^Error: \.doc-drift\.yml is not valid YAML: /);
+  });
+});
+
+describe("validateSchema", () => {
+  it("reports a mistyped root and array items by index", () => {
+    const schema = {
+      type: "object",
+      properties: { ports: { type: "array", items: { type: "integer" } } },
+    };
+
+    assert.deepEqual(validateSchema([], schema), ["config: must be an object"]);
+    assert.deepEqual(validateSchema({ ports: [80, "443"] }, schema), [
+      "ports[1]: must be an integer",
+    ]);
+  });
+});
+
+/* ============================================================================
+   TOKEN EXTRACTION
+============================================================================ */
+
+describe("extractDocRelevantTokens", () => {
+  const renamesIn = (patch, filename) =>
+    Object.fromEntries(
+      extractDocRelevantTokens(patch, filename)
+        .filter((record) => record.renamed_to)
+        .map((record) => [record.token, record.renamed_to])
+    );
+
+  it("pairs similar names of the same kind on a rewritten line", () => {
+    const patch = [
+      "@@ -1,2 +1,2 @@",
+      '-fetch("/v1/teams", { headers: { "X-Key": process.env.API_URL } });',
+      '+fetch("/v1/groups", { headers: { "X-Key": process.env.API_BASE_URL } });',
+    ].join("\n");
+
+    assert.deepEqual(renamesIn(patch, "client.txt"), {
+      "/v1/teams": "/v1/groups",
+      "process.env.API_URL": "process.env.API_BASE_URL",
+    });
+  });
+
+  it("never pairs rewritten prose as a rename", () => {
+    const patch = [
+      "@@ -1 +1 @@",
+      '-const label = "Save changes";',
+      '+const label = "Loading spinner";',
+    ].join("\n");
+
+    assert.deepEqual(renamesIn(patch, "button.js"), {});
+    assert.deepEqual(
+      extractDocRelevantTokens(patch, "button.js").map(({ token, change }) => [token, change]),
+      [
+        ["Save changes", "removed"],
+        ["Loading spinner", "added"],
+      ]
+    );
+  });
+
+  it("does not pair unrelated names", () => {
+    const patch = ["@@ -1 +1 @@", '-const file = "Pipfile";', '+const file = "utf8";'].join("\n");
+
+    assert.deepEqual(renamesIn(patch, "deps.js"), {});
+  });
+});
+
+/* ============================================================================
+   DEPENDENCY CHANGE DETECTION
+============================================================================ */
+
+describe("extractDependencyChanges", () => {
+  const pom = ({ pinned, plugin, dependencies }) => `<project>
+  <dependencyManagement>
+    <dependencies>
+      <dependency>
+        <groupId>com.fasterxml.jackson</groupId>
+        <artifactId>jackson-bom</artifactId>
+        <version>${pinned}</version>
+      </dependency>
+    </dependencies>
+  </dependencyManagement>
+  <dependencies>
+    ${dependencies}
+  </dependencies>
+  <build>
+    <plugins>
+      <plugin>
+        <artifactId>maven-surefire-plugin</artifactId>
+        <dependencies>
+          ${plugin}
+        </dependencies>
+      </plugin>
+    </plugins>
+  </build>
+</project>`;
+
+  const junit = `<dependency>
+      <groupId>junit</groupId>
+      <artifactId>junit</artifactId>
+      <version>4.13</version>
+      <scope>test</scope>
+    </dependency>`;
+
+  it("reads only the project's own pom.xml dependencies", () => {
+    const before = pom({
+      pinned: "2.15.0",
+      plugin: "<dependency><groupId>org.ow2.asm</groupId><artifactId>asm</artifactId></dependency>",
+      dependencies: junit,
+    });
+    const after = pom({
+      pinned: "2.17.0",
+      plugin: "",
+      dependencies: `${junit}
+    <dependency>
+      <groupId>com.google.guava</groupId>
+      <artifactId>guava</artifactId>
+      <version>33.0.0</version>
+    </dependency>`,
+    });
+
+    const changes = extractDependencyChanges({
+      filename: "pom.xml",
+      status: "modified",
+      base_content: before,
+      head_content: after,
+    });
+
+    assert.deepEqual(
+      changes.added.map((dep) => dep.name),
+      ["com.google.guava:guava"]
+    );
+    assert.deepEqual(changes.removed, []);
+    assert.deepEqual(changes.updated, []);
+  });
+
+  it("marks patch-only package.json entries without a section header as unscoped", () => {
+    const patch = `@@ -2,6 +2,6 @@
+   "scripts": {
+-    "test": "node --test"
++    "test": "node --test --watch"
+   },
+   "devDependencies": {
+-    "eslint": "^8.0.0"
++    "eslint": "^9.0.0"
+@@ -40,5 +40,5 @@
+     "lodash": "^4.17.0",
+-    "react": "^17.0.2",
++    "react": "^18.2.0",
+     "zod": "^3.22.0"
+   },
+   "engines": {
+@@ -60,3 +60,3 @@
+     "build": "tsc",
+-    "lint": "eslint ."
++    "lint": "eslint src"
+   }`;
+
+    const changes = extractDependencyChanges({
+      filename: "package.json",
+      status: "modified",
+      patch,
+    });
+
+    assert.deepEqual(
+      changes.updated.map(({ name, scope, from, to }) => ({ name, scope, from, to })),
+      [
+        { name: "eslint", scope: "dev", from: "^8.0.0", to: "^9.0.0" },
+        { name: "react", scope: "unscoped", from: "^17.0.2", to: "^18.2.0" },
+      ]
+    );
+    assert.deepEqual(changes.added, []);
+    assert.deepEqual(changes.removed, []);
+  });
+
+  it("keeps top-level keys of a headerless hunk out of the dependencies", () => {
+    const patch = `@@ -1,5 +1,5 @@
+ {
+   "name": "app",
+-  "version": "1.0.0",
++  "version": "1.1.0",
+   "dependencies": {`;
+
+    const changes = extractDependencyChanges({
+      filename: "package.json",
+      status: "modified",
+      patch,
+    });
+
+    assert.deepEqual(changes, { added: [], removed: [], updated: [] });
+  });
+});
+
+/* ============================================================================
+   CONFIGURATION SURFACE DETECTION
+============================================================================ */
+
+describe("extractConfigChanges", () => {
+  const changesOf = (filename, before, after) =>
+    extractConfigChanges({
+      filename,
+      status: "modified",
+      base_content: before,
+      head_content: after,
+    }).map(({ file, summary, ...change }) => change);
+
+  it("pairs a removed npm script with an added one running the same command", () => {
+    const scripts = (entries) => JSON.stringify({ name: "api", scripts: entries }, null, 2);
+
+    const changes = changesOf(
+      "package.json",
+      scripts({ dev: "node --watch src/server.js", lint: "eslint .", test: "node --test" }),
+      scripts({ "start:dev": "node --watch src/server.js", check: "biome check", test: "vitest" })
+    );
+
+    assert.deepEqual(changes, [
+      { surface: "npm script", change: "updated", name: "test", from: "node --test", to: "vitest" },
+      { surface: "npm script", change: "renamed", name: "dev", renamed_to: "start:dev" },
+      { surface: "npm script", change: "removed", name: "lint", value: "eslint ." },
+      { surface: "npm script", change: "added", name: "check", value: "biome check" },
+    ]);
+  });
+
+  it("never pairs environment variables that share a value", () => {
+    const changes = changesOf(
+      "deploy/.env.example",
+      "LEGACY_API_TOKEN=\nENABLE_CACHE=true\nPORT=3000\n",
+      "ENABLE_METRICS=true\nPORT=3000\n"
+    );
+
+    assert.deepEqual(changes, [
+      { surface: "env var", change: "removed", name: "LEGACY_API_TOKEN", value: "" },
+      { surface: "env var", change: "removed", name: "ENABLE_CACHE", value: "true" },
+      { surface: "env var", change: "added", name: "ENABLE_METRICS", value: "true" },
+    ]);
+  });
+
+  it("reports a compose service renamed with the same image and its moved port", () => {
+    const compose = (name, port) =>
+      `services:\n  ${name}:\n    image: redis:7\n    ports:\n      - "${port}:6379"\n`;
+
+    const changes = changesOf("compose.yaml", compose("cache", 6379), compose("redis", 6380));
+
+    assert.deepEqual(changes, [
+      { surface: "compose service", change: "renamed", name: "cache", renamed_to: "redis" },
+      { surface: "port", change: "removed", name: "6379", value: "cache" },
+      { surface: "port", change: "added", name: "6380", value: "redis" },
+    ]);
+  });
+});
+
+/* ============================================================================
+   API SCHEMA CHANGE DETECTION
+============================================================================ */
+
+describe("extractApiChanges", () => {
+  const changesOf = (filename, before, after) =>
+    extractApiChanges({
+      filename,
+      status: "modified",
+      base_content: before,
+      head_content: after,
+    }).map(({ api, file, summary, ...change }) => change);
+
+  it("pairs renamed OpenAPI endpoints and reports unmatched ones as removed", () => {
+    const spec = (paths) =>
+      `openapi: 3.0.0\npaths:\n${Object.entries(paths)
+        .map(([path, operation]) => `  ${path}:\n    ${operation}\n      responses: {}\n`)
+        .join("")}`;
+
+    const changes = changesOf(
+      "api/openapi.yaml",
+      spec({
+        "/health": "get:",
+        "/v1/teams": "get:",
+        "/teams/{id}": "delete:\n      operationId: deleteTeam",
+        "/reports": "get:\n      operationId: listReports",
+      }),
+      spec({
+        "/v2/teams": "get:",
+        "/groups/{id}": "delete:\n      operationId: deleteTeam",
+        "/status": "post:",
+      })
+    );
+
+    assert.deepEqual(changes, [
+      {
+        kind: "endpoint",
+        change: "renamed",
+        name: "DELETE /teams/{id}",
+        renamed_to: "DELETE /groups/{id}",
+      },
+      { kind: "endpoint", change: "renamed", name: "GET /v1/teams", renamed_to: "GET /v2/teams" },
+      { kind: "endpoint", change: "removed", name: "GET /health" },
+      { kind: "endpoint", change: "removed", name: "GET /reports", operation_id: "listReports" },
+      { kind: "endpoint", change: "added", name: "POST /status" },
+    ]);
+  });
+
+  it("pairs a GraphQL field rename only when the signature is unambiguous", () => {
+    const before = `type User {
+  id: ID!
+  nickname: String
+  bio: String
+}
+
+type Query {
+  user(id: ID!): User
+  users: [User!]!
+}`;
+    const after = `type User {
+  id: ID!
+  displayName: String
+  about: String
+}
+
+type Query {
+  member(id: ID!): User
+}`;
+
+    assert.deepEqual(changesOf("schema.graphql", before, after), [
+      { kind: "field", change: "removed", name: "User.nickname" },
+      { kind: "field", change: "removed", name: "User.bio" },
+      { kind: "endpoint", change: "removed", name: "Query.users" },
+      { kind: "endpoint", change: "renamed", name: "Query.user", renamed_to: "Query.member" },
+    ]);
+  });
+});
+
+/* ============================================================================
+   PROMPT TEMPLATES
+============================================================================ */
+
+describe("loadPromptTemplates", () => {
+  it("builds the default system template from prompt.md", async () => {
+    const prompt = await readFile(new URL("./prompt.md", import.meta.url), "utf8");
+    await loadPromptTemplates();
+
+    const [title, ...body] = prompt.trimEnd().split("\n");
+    assert.match(title, /^# /);
+    assert.ok(PromptTemplates.system.startsWith(body.join("\n").trimStart()));
+    assert.match(PromptTemplates.system, /## Project Glossary[\s\S]*\{\{glossary\}\}/);
+    assert.match(PromptTemplates.system, /## Project Rules[\s\S]*\{\{rules\}\}/);
+  });
+});
+
+/* ============================================================================
+   AI ANALYSIS
+============================================================================ */
+
+describe("planAnalysisBatches", () => {
+  const limits = { ...Config.limits };
+  const templates = { ...PromptTemplates };
+
+  // A short system prompt keeps the sizes below down to the changes and docs
+  before(async () => {
+    await loadPromptTemplates();
+    PromptTemplates.system = "Report documentation drift.";
+  });
+
+  after(() => {
+    Object.assign(Config.limits, limits);
+    Object.assign(PromptTemplates, templates);
+  });
+
+  // Each file renames one flag; its padding makes it about 600 tokens
+  const changedFile = (name, flag) => ({
+    filename: `src/${name}.js`,
+    status: "modified",
+    patch:
+      `@@ -1,43 +1,43 @@\n function ${name}() {\n-  return run("--${flag}");\n` +
+      `+  return run("--${flag}-v2");\n }\n` +
+      " // keeps the arguments in sync with the command line parser\n".repeat(40),
+  });
+  const changes = () =>
+    processPRFiles([
+      changedFile("build", "minify"),
+      changedFile("serve", "watch-mode"),
+      changedFile("lint", "fix-all"),
+    ]);
+  const documents = [
+    createDocument({ path: "docs/build.md" }, "# Build\n\nPass `--minify` to shrink bundles.\n"),
+    createDocument(
+      { path: "docs/serve.md" },
+      "# Serve\n\nUse `--watch-mode` to reload.\n\nCombine it with `--minify` to test builds.\n"
+    ),
+    createDocument({ path: "docs/lint.md", model: "small-model" }, "# Lint\n\nRun `--fix-all`.\n"),
+    createDocument({ path: "docs/other.md" }, "# Other\n\nNothing about flags.\n"),
+  ];
+  const describePlan = ({ batches, skipped }) => {
+    const describeBatch = (batch) => ({
+      model: batch.model,
+      files: batch.changes.prFiles.map((prFile) => prFile.filename),
+      docs: batch.evidence.map((docEvidence) => docEvidence.url),
+    });
+    return { batches: batches.map(describeBatch), skipped: skipped.map(describeBatch) };
+  };
+  const allFiles = ["src/build.js", "src/serve.js", "src/lint.js"];
+
+  it("makes one call per model when everything fits", () => {
+    Object.assign(Config.limits, { maxPromptTokens: 60000, maxModelCalls: 12 });
+
+    assert.deepEqual(describePlan(planAnalysisBatches(changes(), documents)), {
+      batches: [
+        {
+          model: null,
+          files: allFiles,
+          docs: ["docs/build.md", "docs/serve.md", "docs/other.md"],
+        },
+        { model: "small-model", files: allFiles, docs: ["docs/lint.md"] },
+      ],
+      skipped: [],
+    });
+  });
+
+  it("pairs each file group with the docs its own changes mention", () => {
+    Object.assign(Config.limits, { maxPromptTokens: 1500, maxModelCalls: 12 });
+
+    assert.deepEqual(describePlan(planAnalysisBatches(changes(), documents)).batches, [
+      { model: null, files: ["src/build.js"], docs: ["docs/build.md", "docs/serve.md"] },
+      { model: null, files: ["src/serve.js"], docs: ["docs/serve.md"] },
+      { model: "small-model", files: ["src/lint.js"], docs: ["docs/lint.md"] },
+    ]);
+  });
+
+  it("skips the calls with the least evidence over maxModelCalls", () => {
+    Object.assign(Config.limits, { maxPromptTokens: 1500, maxModelCalls: 2 });
+
+    const plan = describePlan(planAnalysisBatches(changes(), documents));
+    assert.deepEqual(
+      plan.batches.map((batch) => batch.files),
+      [["src/build.js"], ["src/serve.js"]]
+    );
+    assert.deepEqual(plan.skipped, [
+      { model: "small-model", files: ["src/lint.js"], docs: ["docs/lint.md"] },
+    ]);
+  });
+});
+
+describe("mergeReports", () => {
+  const maxFindings = Config.drift.maxFindings;
+  after(() => {
+    Config.drift.maxFindings = maxFindings;
+  });
+
+  const finding = (docUrl, evidence, confidence) => ({
+    doc_url: docUrl,
+    evidence: [evidence],
+    confidence,
+  });
+
+  it("keeps a finding reported by several calls once, at its highest confidence", () => {
+    Config.drift.maxFindings = 2;
+
+    const merged = mergeReports([
+      {
+        drift_detected: true,
+        findings: [
+          finding("docs/dev.md", "Run `npm run dev` to start.", 0.6),
+          finding("docs/api.md", "GET /teams", 0.9),
+        ],
+        resolved_findings: [],
+      },
+      {
+        drift_detected: false,
+        findings: [
+          finding("docs/dev.md", "run npm run dev to start", 0.8),
+          finding("docs/dev.md", "PORT=3000", 0.5),
+        ],
+        resolved_findings: [finding("docs/api.md", "GET /teams", 0.7)],
+      },
+    ]);
+
+    assert.deepEqual(merged, {
+      drift_detected: true,
+      findings: [
+        finding("docs/api.md", "GET /teams", 0.9),
+        finding("docs/dev.md", "run npm run dev to start", 0.8),
+      ],
+      resolved_findings: [finding("docs/api.md", "GET /teams", 0.7)],
+    });
+  });
+});
+
+/* ============================================================================
+   EVIDENCE GROUNDING
+============================================================================ */
+
+describe("groundFindings", () => {
+  const guide = createDocument(
+    { path: "docs/guide.md" },
+    [
+      "# Guide",
+      "",
+      "## Prefetching",
+      "",
+      "It is possible to prefetch data before the user navigates to a page.",
+      "This can be done with **queryClient.prefetchQuery** from the",
+      "`@tanstack/react-query` library.",
+      "",
+      "## Other",
+      "",
+      "Unrelated text about deployment pipelines and staging servers.",
+      "",
+    ].join("\n")
+  );
+
+  const ground = (...findings) =>
+    groundFindings({ drift_detected: true, findings, resolved_findings: [] }, [guide]);
+  const finding = (evidence, fields = {}) => ({
+    doc_url: "docs/guide.md",
+    doc_title: "docs/guide.md",
+    change_summary: "Removed dependency @tanstack/react-query",
+    confidence: 0.9,
+    evidence,
+    ...fields,
+  });
+
+  it("attributes a quote to its lines despite reflow and Markdown", () => {
+    const report = ground(
+      finding([
+        "This can be done with queryClient.prefetchQuery from the @tanstack/react-query library.",
+      ])
+    );
+
+    const [grounded] = report.findings;
+    assert.deepEqual(grounded.evidence_lines, [{ start: 6, end: 7 }]);
+    assert.equal(grounded.doc_section, "Guide > Prefetching");
+    assert.equal(grounded.confidence, 0.9);
+    assert.equal(grounded.grounding_note, undefined);
+  });
+
+  it("down-weights a paraphrase by its match score", () => {
+    const report = ground(
+      finding(["This can be done with queryClient.prefetchQuery from a different library."])
+    );
+
+    const [grounded] = report.findings;
+    assert.equal(grounded.grounding_note, "paraphrased evidence, 75% match");
+    assert.equal(grounded.confidence, 0.9 * 0.75);
+    assert.equal(report.grounding.downweighted, 1);
+  });
+
+  it("prunes invented excerpts and keeps the grounded ones", () => {
+    const report = ground(
+      finding([
+        "Nothing like this sentence appears anywhere in the guide.",
+        "Unrelated text about deployment pipelines.",
+      ])
+    );
+
+    assert.deepEqual(report.findings[0].evidence, ["Unrelated text about deployment pipelines."]);
+    assert.deepEqual(report.findings[0].evidence_lines, [{ start: 11, end: 11 }]);
+  });
+
+  it("discards findings without grounded evidence or a known doc", () => {
+    const report = ground(
+      finding(["Use the useSuspenseQuery hook for every page in the application."]),
+      finding([]),
+      finding(["Unrelated text"], { doc_url: "docs/missing.md", doc_title: "Missing" })
+    );
+
+    assert.deepEqual(report.findings, []);
+    assert.equal(report.drift_detected, false);
+    assert.deepEqual(
+      report.grounding.discarded.map(({ reason }) => reason),
+      [
+        "evidence not found in the document",
+        "no evidence quoted",
+        "doc_url does not match a configured doc source",
+      ]
+    );
+  });
+});
+
+/* ============================================================================
+   FINDING LIFECYCLE
+============================================================================ */
+
+describe("findReportComment", () => {
+  const bot = { login: "github-actions[bot]", type: "Bot" };
+  const report = "<!-- doc-drift-report -->\n## Documentation Drift Report";
+
+  it("ignores a marked comment from anyone but the bot", () => {
+    const forged = { id: 1, user: { login: "mallory", type: "User" }, body: report };
+    const own = { id: 2, user: bot, body: report };
+
+    assert.equal(findReportComment([forged]), null);
+    assert.equal(findReportComment([forged, own]), own);
+  });
+
+  it("ignores the bot's comments without the marker", () => {
+    assert.equal(findReportComment([{ id: 3, user: bot, body: "Thanks!" }]), null);
+  });
+});
+
+describe("parseReportState", () => {
+  it("reads back rendered state", () => {
+    const state = { version: 1, findings: [], dismissed: {}, last_comment_id: 42 };
+    assert.deepEqual(parseReportState(`## Report${renderReportState(state)}`), state);
+  });
+
+  it("turns the handled command list of older reports into the last comment ID", () => {
+    const legacy = { version: 1, findings: [], dismissed: {}, handled_commands: [7, 31, 12] };
+
+    assert.deepEqual(parseReportState(renderReportState(legacy)), {
+      version: 1,
+      findings: [],
+      dismissed: {},
+      last_comment_id: 31,
+    });
+  });
+});
+
+describe("applyDismissCommands", () => {
+  const stateFinding = (fingerprint, number) => ({
+    fingerprint,
+    number,
+    status: "open",
+    doc_title: "Setup",
+    change_summary: `change ${number}`,
+  });
+  const comment = (id, body, association = "MEMBER") => ({
+    id,
+    body,
+    author_association: association,
+    user: { login: `user${id}` },
+    created_at: "2026-10-01T00:00:00Z",
+  });
+
+  it("dismisses by number or ID prefix, once per comment, for collaborators only", () => {
+    const state = {
+      version: 1,
+      findings: [stateFinding("3fa9c0d2e411", 1), stateFinding("3fa97b18c0aa", 2)],
+      dismissed: {},
+      last_comment_id: 5,
+    };
+
+    applyDismissCommands(state, [
+      comment(5, "/doc-drift dismiss 2 handled by the last run"),
+      comment(6, "/doc-drift dismiss 1", "CONTRIBUTOR"),
+      comment(7, "Agreed.\n/doc-drift dismiss #1 docs are versioned\n/doc-drift dismiss 3fa9"),
+      comment(8, "/doc-drift dismiss 3fa97b"),
+      comment(9, "Looks good otherwise"),
+    ]);
+
+    assert.deepEqual(state.dismissed, {
+      "3fa9c0d2e411": {
+        reason: "docs are versioned",
+        by: "user7",
+        at: "2026-10-01T00:00:00Z",
+        doc_title: "Setup",
+        change_summary: "change 1",
+      },
+      "3fa97b18c0aa": {
+        reason: null,
+        by: "user8",
+        at: "2026-10-01T00:00:00Z",
+        doc_title: "Setup",
+        change_summary: "change 2",
+      },
+    });
+    assert.equal(state.last_comment_id, 9);
+  });
+});
+
+describe("trackFindings", () => {
+  const finding = (fingerprint) => ({
+    fingerprint,
+    doc_title: "Setup",
+    doc_url: "docs/setup.md",
+    change_summary: `change ${fingerprint}`,
+  });
+  const stateFinding = (fingerprint, status, number = null) => ({
+    fingerprint,
+    number,
+    status,
+    doc_title: "Setup",
+    doc_url: "docs/setup.md",
+    doc_section: null,
+    change_summary: `change ${fingerprint}`,
+  });
+  const previousState = () => ({
+    version: 1,
+    findings: [stateFinding("open", "new", 1), stateFinding("fixed", "open", 2)],
+    dismissed: { dismissed: { reason: "intended", by: "maintainer" } },
+    last_comment_id: 0,
+  });
+  const statuses = (findings) => findings.map(({ fingerprint, status }) => [fingerprint, status]);
+
+  it("marks findings new, open, dismissed or resolved against the previous state", () => {
+    const report = {
+      drift_detected: true,
+      findings: [finding("open"), finding("dismissed"), finding("added")],
+      resolved_findings: [],
+    };
+
+    const state = trackFindings(report, previousState());
+
+    assert.deepEqual(statuses(report.findings), [
+      ["open", "open"],
+      ["added", "new"],
+    ]);
+    assert.deepEqual(statuses(report.dismissed_findings), [["dismissed", "dismissed"]]);
+    assert.deepEqual(statuses(report.resolved_findings), [["fixed", "resolved"]]);
+    assert.deepEqual(
+      state.findings.map(({ fingerprint, number, status }) => [fingerprint, number, status]),
+      [
+        ["open", 1, "open"],
+        ["added", 2, "new"],
+        ["dismissed", null, "dismissed"],
+        ["fixed", null, "resolved"],
+      ]
+    );
+  });
+
+  it("clears drift_detected when every finding is dismissed", () => {
+    const report = {
+      drift_detected: true,
+      findings: [finding("dismissed")],
+      resolved_findings: [],
+    };
+
+    trackFindings(report, previousState());
+
+    assert.equal(report.drift_detected, false);
+  });
+
+  it("keeps unreported findings unresolved after a degraded analysis", () => {
+    const report = {
+      drift_detected: false,
+      findings: [],
+      resolved_findings: [],
+      degraded: { failed_calls: 1 },
+    };
+
+    const state = trackFindings(report, previousState());
+
+    assert.deepEqual(report.resolved_findings, []);
+    assert.deepEqual(statuses(state.findings), [
+      ["open", "new"],
+      ["fixed", "open"],
+    ]);
+  });
+});
+
+/* ============================================================================
+   SUPPRESSION BASELINE
+============================================================================ */
+
+describe("suppression baseline", () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const finding = (fingerprint, docSection, evidence) => ({
+    fingerprint,
+    doc_url: "docs/guides/migration.md",
+    doc_section: docSection,
+    change_summary: `Change ${fingerprint}`,
+    evidence: [evidence],
+  });
+  const fingerprints = (findings) => findings.map((entry) => entry.fingerprint);
+
+  it("suppresses by ID, doc glob, section and token, until the expiry date passes", () => {
+    const report = {
+      drift_detected: true,
+      findings: [
+        finding("a1", "Upgrading", "Call GET /v1/teams"),
+        finding("b2", "Upgrading > From 1.x", "Set LEGACY_MODE=true"),
+        finding("c3", "Upgrading tips", "Run the migrate script"),
+        finding("d4", "Reference", "Pass --old-flag"),
+        finding("e5", "Reference", "Pass --legacy"),
+      ],
+      resolved_findings: [],
+    };
+
+    applyBaseline(report, {
+      version: 1,
+      suppressions: [
+        { fingerprint: "a1", reason: "expires today", expires: today },
+        { doc: "docs/guides/*.md", section: "Upgrading", reason: "subsections count" },
+        { doc: "docs/**", token: "--OLD-FLAG", reason: "case-insensitive" },
+        { fingerprint: "e5", reason: "expired", expires: "2000-01-01" },
+      ],
+    });
+
+    assert.deepEqual(fingerprints(report.suppressed_findings), ["a1", "b2", "d4"]);
+    assert.equal(report.suppressed_findings[1].suppression.reason, "subsections count");
+    assert.deepEqual(fingerprints(report.findings), ["c3", "e5"]);
+    assert.equal(report.drift_detected, true);
+  });
+
+  it("clears drift_detected when every finding is suppressed", () => {
+    const report = {
+      drift_detected: true,
+      findings: [finding("a1", "Upgrading", "Call GET /v1/teams")],
+      resolved_findings: [],
+    };
+
+    applyBaseline(report, { version: 1, suppressions: [{ doc: "docs/**", reason: "frozen" }] });
+
+    assert.equal(report.drift_detected, false);
+  });
+
+  it("refreshes a baseline: drops expired entries, keeps covered ones, adds the rest", () => {
+    const kept = { fingerprint: "a1", reason: "Documented on purpose", expires: "2999-12-31" };
+    const baseline = {
+      version: 1,
+      suppressions: [kept, { fingerprint: "b2", reason: "old", expires: "2000-01-01" }],
+    };
+    const report = {
+      findings: [finding("a1", "Upgrading", "x"), finding("b2", "Upgrading", "y")],
+    };
+
+    assert.equal(refreshBaseline(baseline, report), 1);
+    assert.deepEqual(baseline.suppressions, [
+      kept,
+      { fingerprint: "b2", doc: "docs/guides/migration.md", reason: "Accepted drift: Change b2" },
+    ]);
+  });
+
+  it("refuses reports without findings or finding IDs", () => {
+    const baseline = { version: 1, suppressions: [] };
+
+    assert.throws(() => refreshBaseline(baseline, { drift_detected: false }), /no "findings"/);
+    assert.throws(
+      () => refreshBaseline(baseline, { findings: [{ doc_url: "docs/a.md" }] }),
+      /findings have no IDs/
+    );
+  });
+
+  it("rejects entries without a target, a reason or a real expiry date", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "doc-drift-baseline-"));
+    const path = join(dir, ".doc-drift-baseline");
+    await writeFile(
+      path,
+      `version: 1
+suppressions:
+  - reason: no target
+  - doc: docs/a.md
+    reason: " "
+  - fingerprint: a1
+    reason: typo in the date
+    expires: 2025-02-30
+`
+    );
+
+    try {
+      await assert.rejects(loadBaseline(path), {
+        message: [
+          `Invalid ${path}:`,
+          '  - suppressions[0]: must have a "fingerprint" or a "doc"',
+          "  - suppressions[1].reason: must not be empty",
+          "  - suppressions[2].expires: must be a date like 2025-12-31",
+        ].join("\n"),
+      });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+/* ============================================================================
+   RULE-BASED ANALYSIS
+============================================================================ */
+
+describe("analyzeDriftWithRules", () => {
+  const analyze = (tokens, text) =>
+    analyzeDriftWithRules(
+      {
+        tokens,
+        dependencyChanges: { added: [], removed: [], updated: [] },
+        configChanges: [],
+        apiChanges: [],
+        fileChanges: [],
+      },
+      [
+        {
+          title: "docs/ui.md",
+          url: "docs/ui.md",
+          modified_in_pr: false,
+          hits: [{ text, tokens: tokens.map(({ token }) => ({ token })) }],
+        },
+      ]
+    );
+
+  it("reports a renamed CLI flag the docs still use", () => {
+    const report = analyze(
+      [{ token: "--log-level", change: "removed", renamed_to: "--log-format" }],
+      "Run `app --log-level debug` to see more."
+    );
+
+    assert.equal(report.findings.length, 1);
+    assert.equal(report.findings[0].doc_url, "docs/ui.md");
+    assert.match(report.findings[0].suggested_revised_wording, /--log-format/);
+  });
+
+  it("reports nothing for changed prose, even when paired as a rename", () => {
+    const report = analyze(
+      [
+        { token: "Save changes", change: "removed", renamed_to: "Loading spinner" },
+        { token: "Loading spinner", change: "added", renamed_from: "Save changes" },
+      ],
+      "Click **Save changes** to apply."
+    );
+
+    assert.deepEqual(report.findings, []);
+  });
+});
+
+/* ============================================================================
+   EVALUATION
+============================================================================ */
+
+describe("golden fixtures", () => {
+  it("all pass in rule-based mode", async () => {
+    const script = fileURLToPath(new URL("./doc-drift.mjs", import.meta.url));
+    const fixtures = fileURLToPath(new URL("../doc-drift-eval", import.meta.url));
+
+    // Rejects with the evaluation output when any fixture does not match
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      script,
+      "--eval",
+      fixtures,
+      "--mode",
+      "rules",
+    ]);
+    assert.match(stdout, /\| \*\*Total\*\* \|.*\| 100% \| 100% \|/);
+  });
+});
+
+/* ============================================================================
+   LOCAL GIT INTEGRATION
+============================================================================ */
+
+describe("parseNameStatus", () => {
+  it("reads statuses, with both paths for renames and copies", () => {
+    const output = [
+      "M",
+      "src/app.js",
+      "R087",
+      "old.md",
+      "new.md",
+      "D",
+      "gone.txt",
+      "A",
+      "bin.dat",
+      "",
+    ].join("\0");
+
+    assert.deepEqual(parseNameStatus(output), [
+      { status: "modified", filename: "src/app.js" },
+      { status: "renamed", previous_filename: "old.md", filename: "new.md" },
+      { status: "removed", filename: "gone.txt" },
+      { status: "added", filename: "bin.dat" },
+    ]);
+  });
+});
+
+describe("splitUnifiedDiff", () => {
+  it("keys patches by path, past binary files and renames without hunks", () => {
+    const diff = [
+      "diff --git a/bin.dat b/bin.dat",
+      "index bdc955b..8835708 100644",
+      "Binary files a/bin.dat and b/bin.dat differ",
+      'diff --git "a/caf\\303\\251.md" "b/caf\\303\\251.md"',
+      "index 587be6b..975fbec 100644",
+      '--- "a/caf\\303\\251.md"',
+      '+++ "b/caf\\303\\251.md"',
+      "@@ -1 +1 @@",
+      "-x",
+      "+y",
+      "diff --git a/old.md b/new.md",
+      "similarity index 100%",
+      "rename from old.md",
+      "rename to new.md",
+      "diff --git a/my file.txt b/my file.txt",
+      "old mode 100644",
+      "new mode 100755",
+      "index 422c2b7..55dce13",
+      "--- a/my file.txt\t",
+      "+++ b/my file.txt\t",
+      "@@ -1,2 +1,2 @@",
+      " a",
+      "-b",
+      "+B",
+      "diff --git a/gone.txt b/gone.txt",
+      "deleted file mode 100644",
+      "--- a/gone.txt",
+      "+++ /dev/null",
+      "@@ -1 +0,0 @@",
+      "-bye",
+      "",
+    ].join("\n");
+
+    assert.deepEqual(
+      splitUnifiedDiff(diff),
+      new Map([
+        ["bin.dat", ""],
+        ["café.md", "@@ -1 +1 @@\n-x\n+y"],
+        ["new.md", ""],
+        ["my file.txt", "@@ -1,2 +1,2 @@\n a\n-b\n+B"],
+        ["gone.txt", "@@ -1 +0,0 @@\n-bye"],
+      ])
+    );
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * The GitHub Action: analyzes a pull request and reports on it.
+ */
+
+import github from "@actions/github";
+import { analyzeDocuments } from "./ai-analysis.mjs";
+import { applyBaseline, loadBaseline } from "./baseline.mjs";
+import { hashContent, pruneCache, readCacheEntry, writeCacheEntry } from "./cache.mjs";
+import { attachFileContents, processPRFiles } from "./changes.mjs";
+import { Config, Log } from "./config.mjs";
+import { flagDocsChangedInPR, loadDocuments, resolveDocSources } from "./evidence.mjs";
+import { resolveDocRef } from "./git.mjs";
+import {
+  createGitHubContentReader,
+  fetchEventPullRequest,
+  fetchPRComments,
+  fetchPRFiles,
+  findReportComment,
+  handleBuildResult,
+  publishCheckRun,
+  upsertPRComment,
+} from "./github.mjs";
+import { groundFindings } from "./grounding.mjs";
+import {
+  applyDismissCommands,
+  fingerprintFindings,
+  parseReportState,
+  renderReportState,
+  trackFindings,
+} from "./lifecycle.mjs";
+import { getPromptVersion, loadPromptTemplates } from "./prompts.mjs";
+import { selectDocSources, setUpRepoConfig } from "./repo-config.mjs";
+import {
+  renderReport,
+  validateDriftMode,
+  validateOutputFormats,
+  writeReportOutputs,
+} from "./report.mjs";
+import { requireEnv } from "./utils.mjs";
+
+/* ============================================================================
+   MAIN ORCHESTRATION
+============================================================================ */
+
+/**
+ * GitHub Action entry point. Orchestrates the entire drift detection workflow.
+ */
+async function run() {
+  // Validate required configuration
+  requireEnv("GITHUB_TOKEN");
+  const repoConfig = await setUpRepoConfig(process.env.DOC_DRIFT_CONFIG || null);
+  validateDriftMode();
+  await loadPromptTemplates();
+  validateOutputFormats();
+
+  const configuredDocSources = selectDocSources(repoConfig);
+
+  // Initialize GitHub client
+  const octokit = github.getOctokit(process.env.GITHUB_TOKEN);
+  const context = github.context;
+
+  const pullRequest = await fetchEventPullRequest(octokit, context);
+  if (!pullRequest) {
+    throw new Error("This action must run on pull_request events or on PR comments");
+  }
+
+  const { owner, repo } = context.repo;
+  const prNumber = pullRequest.number;
+  const headSha = pullRequest.head.sha;
+
+  // Read the previous report's state and apply new dismissals to it
+  const comments = await fetchPRComments(octokit, owner, repo, prNumber);
+  const reportComment = findReportComment(comments);
+  const state = parseReportState(reportComment?.body);
+  applyDismissCommands(state, comments);
+
+  // A command on a PR that has not changed since the last report only
+  // changes finding statuses, so the analysis behind that report is reused
+  const analysisKey = hashContent({
+    base: pullRequest.base.sha,
+    head: headSha,
+    prompt_version: getPromptVersion(),
+    config: { ...Config, llm: { ...Config.llm, apiKey: null } },
+    sources: configuredDocSources,
+  });
+  const isUnchanged = context.eventName === "issue_comment" && state.analysis_key === analysisKey;
+  let analysis = isUnchanged ? await readCacheEntry("reports", analysisKey) : null;
+
+  if (analysis) {
+    Log.info("PR unchanged since the last report; re-rendering it with the new commands");
+  } else {
+    analysis = await analyzePullRequest(octokit, context, pullRequest, configuredDocSources);
+    if (!analysis.report.degraded) {
+      await writeCacheEntry("reports", analysisKey, analysis);
+    }
+  }
+
+  const { report, documents } = analysis;
+  applyBaseline(report, await loadBaseline());
+  await pruneCache();
+
+  // Carry statuses over from the previous report
+  const nextState = { ...trackFindings(report, state), analysis_key: analysisKey };
+
+  // Post results to PR
+  const reportMarkdown = renderReport(report) + renderReportState(nextState);
+  await upsertPRComment(octokit, owner, repo, prNumber, reportMarkdown, reportComment);
+
+  // Publish machine-readable outputs and the check run
+  const summaryMarkdown = renderReport(report);
+  await writeReportOutputs(report, documents, summaryMarkdown);
+  if (Config.output.formats.includes("check")) {
+    await publishCheckRun(octokit, owner, repo, headSha, report, documents, summaryMarkdown);
+  }
+
+  // Handle build pass/fail
+  handleBuildResult(report, documents);
+}
+
+/**
+ * Analyzes a pull request's changes against its doc sources, as of the PR
+ * head commit. Returns the grounded, fingerprinted report and the
+ * documents' titles, URLs, paths and rules, which is all the outputs need.
+ */
+async function analyzePullRequest(octokit, context, pullRequest, configuredDocSources) {
+  const { owner, repo } = context.repo;
+  const { base, head } = pullRequest;
+
+  // Fetch and process PR files
+  const files = await fetchPRFiles(octokit, owner, repo, pullRequest.number);
+  await attachFileContents(
+    files,
+    createGitHubContentReader(octokit, owner, repo, { base: base.sha, head: head.sha })
+  );
+  const changes = processPRFiles(files);
+
+  // Resolve doc sources as of the PR head commit
+  const docRef = await resolveDocRef(head.sha);
+  const resolvedDocSources = await resolveDocSources(configuredDocSources, {
+    ref: docRef,
+    repoSlug: `${owner}/${repo}`,
+    blobBaseUrl: `${context.serverUrl}/${owner}/${repo}/blob/${head.sha}`,
+  });
+  const docSources = flagDocsChangedInPR(resolvedDocSources, files);
+
+  // Load documentation sources
+  const documents = await loadDocuments(docSources);
+
+  // Analyze for drift using AI, then verify findings against the docs
+  const report = await analyzeDocuments(changes, documents);
+  groundFindings(report, documents);
+  fingerprintFindings(report, changes);
+
+  return {
+    report,
+    documents: documents.map(({ title, url, path, rules }) => ({ title, url, path, rules })),
+  };
+}
+
+export { run };
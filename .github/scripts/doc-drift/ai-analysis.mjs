@@ -0,0 +1,335 @@
+/**
+ * Asks the model whether the changes make the documentation evidence stale,
+ * batching large PRs within the prompt budget.
+ */
+
+import { hashContent, readCacheEntry, writeCacheEntry } from "./cache.mjs";
+import { narrowChanges } from "./changes.mjs";
+import { Config, Log } from "./config.mjs";
+import { warnAboutUnmatchedRoutes } from "./documents.mjs";
+import { buildDocumentationEvidence } from "./evidence.mjs";
+import { tokenizeWords } from "./grounding.mjs";
+import {
+  PromptTemplates,
+  driftReportSchema,
+  buildPromptValues,
+  getPromptVersion,
+  renderPromptTemplate,
+} from "./prompts.mjs";
+import { callModel, resolveLLMSettings } from "./providers.mjs";
+import { analyzeDriftWithRules } from "./rule-analysis.mjs";
+import { estimateTokens, mapWithConcurrency, packByBudget, truncate } from "./utils.mjs";
+
+/* ============================================================================
+   AI ANALYSIS
+   
+   After gathering evidence, we use AI to assess whether the evidence
+   indicates actual documentation drift requiring human attention.
+============================================================================ */
+
+/**
+ * Analyzes PR changes against documentation evidence to detect drift.
+ * `options.model` overrides the configured model for this call.
+ *
+ * Results are cached under a key covering the prompt version, the model,
+ * the request (the relevant diff and evidence) and the hashes of the docs
+ * involved (`options.docHashes`), so unchanged inputs reuse the previous
+ * result without a model call.
+ */
+async function analyzeDrift(changes, docsEvidence, { model = null, docHashes = [] } = {}) {
+  const messages = buildDriftMessages(changes, docsEvidence);
+  const settings = resolveLLMSettings({ model });
+  const cacheKey = hashContent({
+    prompt_version: getPromptVersion(),
+    provider: Config.llm.provider,
+    base_url: settings.baseUrl,
+    model: settings.model,
+    messages,
+    doc_hashes: docHashes,
+  });
+
+  let report = await readCacheEntry("analysis", cacheKey);
+  if (report) {
+    Log.info(`Reusing cached analysis (${settings.model}, ${docsEvidence.length} doc(s))`);
+  } else {
+    report = await callModel(messages, driftReportSchema, { model });
+    await writeCacheEntry("analysis", cacheKey, report);
+  }
+
+  separateResolvedFindings(report);
+
+  // Enforce client-side limit as a safety measure
+  if (Array.isArray(report.findings) && report.findings.length > Config.drift.maxFindings) {
+    report.findings = report.findings.slice(0, Config.drift.maxFindings);
+  }
+
+  return report;
+}
+
+/**
+ * Builds the chat messages for one drift analysis call from the prompt
+ * templates.
+ */
+function buildDriftMessages(changes, docsEvidence) {
+  const values = buildPromptValues(changes, docsEvidence);
+  return [
+    { role: "system", content: renderPromptTemplate(PromptTemplates.system, values) },
+    { role: "user", content: renderPromptTemplate(PromptTemplates.user, values) },
+  ];
+}
+
+/**
+ * Runs the drift analysis in as many model calls as the prompt budget
+ * requires (see planAnalysisBatches), at most `maxConcurrentCalls` at a
+ * time, and merges the results. The merged report records in `coverage`
+ * what was ignored, truncated or skipped.
+ *
+ * In "rules" mode the evidence is judged by DRIFT_RULES instead, in one pass.
+ *
+ * A call that fails because the model stays unavailable does not end the
+ * run: its evidence goes into `report.degraded` for review by hand. Other
+ * errors (bad credentials, invalid requests) still fail the run.
+ */
+async function analyzeDocuments(changes, documents) {
+  warnAboutUnmatchedRoutes(documents);
+
+  if (Config.drift.mode === "rules") {
+    const evidence = buildDocumentationEvidence(documents, changes, { budget: Infinity });
+    const report = analyzeDriftWithRules(changes, evidence);
+    report.coverage = { ...describeCoverage(changes, [{ changes }], []), model_calls: 0 };
+    return report;
+  }
+
+  const { batches, skipped } = planAnalysisBatches(changes, documents);
+  if (batches.length > 1) {
+    Log.info(`Splitting the analysis into ${batches.length} model calls`);
+  }
+  if (skipped.length > 0) {
+    Log.warning(
+      `Skipping ${skipped.length} model call(s) over the limit of ${Config.limits.maxModelCalls}`
+    );
+  }
+
+  const hashesByUrl = new Map(documents.map((document) => [document.url, document.hash]));
+  const failures = [];
+  const reports = await mapWithConcurrency(
+    batches,
+    Config.limits.maxConcurrentCalls,
+    async (batch) => {
+      try {
+        return await analyzeDrift(batch.changes, batch.evidence, {
+          model: batch.model,
+          docHashes: batch.evidence.map((docEvidence) => hashesByUrl.get(docEvidence.url)),
+        });
+      } catch (error) {
+        if (!error.transient) throw error;
+        Log.warning(`Model unavailable, reporting raw evidence instead: ${error.message}`);
+        failures.push({ batch, error });
+        return null;
+      }
+    }
+  );
+
+  const report = mergeReports(reports.filter(Boolean));
+  report.coverage = describeCoverage(changes, batches, skipped);
+  report.prompt_version = getPromptVersion();
+  if (failures.length > 0) {
+    report.degraded = describeDegradedAnalysis(failures, batches.length);
+  }
+  return report;
+}
+
+/**
+ * Summarizes the model calls that failed: how many, why, and the evidence
+ * hits they would have analyzed, merged per doc.
+ */
+function describeDegradedAnalysis(failures, totalCalls) {
+  const evidenceByUrl = new Map();
+
+  for (const docEvidence of failures.flatMap(({ batch }) => batch.evidence)) {
+    if (docEvidence.hits.length === 0) continue;
+    if (!evidenceByUrl.has(docEvidence.url)) {
+      evidenceByUrl.set(docEvidence.url, {
+        title: docEvidence.title,
+        url: docEvidence.url,
+        hits: new Map(),
+      });
+    }
+
+    // Batches over different files can find the same passage
+    const { hits } = evidenceByUrl.get(docEvidence.url);
+    for (const hit of docEvidence.hits) {
+      const key = `${hit.start_line}-${hit.end_line}`;
+      const terms = hits.get(key)?.tokens || [];
+      const newTerms = hit.tokens.filter(
+        ({ token }) => !terms.some((term) => term.token === token)
+      );
+      hits.set(key, { ...hit, tokens: [...terms, ...newTerms] });
+    }
+  }
+
+  return {
+    failed_calls: failures.length,
+    total_calls: totalCalls,
+    errors: [...new Set(failures.map(({ error }) => truncate(error.message, 300)))],
+    evidence: [...evidenceByUrl.values()].map(({ hits, ...docEvidence }) => ({
+      ...docEvidence,
+      hits: [...hits.values()].sort((a, b) => a.start_line - b.start_line),
+    })),
+  };
+}
+
+/**
+ * Splits the analysis into model calls that fit `maxPromptTokens`.
+ *
+ * Docs whose source sets `model` are analyzed with that model, all others
+ * with the configured one. When everything for a model fits, it is one
+ * call, as for most PRs. Otherwise the changed files are split into groups
+ * and each group is paired with the evidence its own changes find; docs
+ * that none of its changes mention are left out, and a group's evidence is
+ * split again by doc when it does not fit either. Calls with the most
+ * evidence come first, so the `maxModelCalls` limit drops the least
+ * promising ones.
+ */
+function planAnalysisBatches(changes, documents) {
+  const budget = Config.limits.maxPromptTokens;
+  const planned = [];
+
+  for (const [model, modelDocuments] of groupDocumentsByModel(documents)) {
+    const evidence = buildDocumentationEvidence(modelDocuments, changes);
+    if (estimateTokens(buildDriftMessages(changes, evidence)) <= budget) {
+      planned.push({ model, changes, evidence });
+      continue;
+    }
+
+    const sizeOfFile = (record) => estimateTokens(record.prFile);
+    for (const fileGroup of packByBudget(changes.fileRecords, sizeOfFile, budget / 2)) {
+      const groupChanges = narrowChanges(changes, fileGroup);
+      const groupEvidence = buildDocumentationEvidence(modelDocuments, groupChanges).filter(
+        (docEvidence) => docEvidence.hits.length > 0
+      );
+      const evidenceBudget = budget - estimateTokens(buildDriftMessages(groupChanges, []));
+
+      for (const evidenceGroup of packByBudget(groupEvidence, estimateTokens, evidenceBudget)) {
+        planned.push({ model, changes: groupChanges, evidence: evidenceGroup });
+      }
+    }
+  }
+
+  const countHits = (batch) => batch.evidence.reduce((sum, doc) => sum + doc.hits.length, 0);
+  planned.sort((a, b) => countHits(b) - countHits(a));
+
+  return {
+    batches: planned.slice(0, Config.limits.maxModelCalls),
+    skipped: planned.slice(Config.limits.maxModelCalls),
+  };
+}
+
+/**
+ * Groups documents by the model their source asks for (null for the
+ * configured model). Without documents there is still one empty group, so
+ * the analysis runs as before.
+ */
+function groupDocumentsByModel(documents) {
+  const documentsByModel = new Map();
+
+  for (const document of documents) {
+    const model = document.rules.model;
+    if (!documentsByModel.has(model)) documentsByModel.set(model, []);
+    documentsByModel.get(model).push(document);
+  }
+
+  if (documentsByModel.size === 0) documentsByModel.set(null, []);
+  return documentsByModel;
+}
+
+/**
+ * Combines drift reports from several analyses into one. A finding
+ * reported by more than one call (same doc, same evidence) is kept once,
+ * with its highest confidence, and the global finding limit is applied to
+ * the most confident findings.
+ */
+function mergeReports(reports) {
+  if (reports.length === 1) return reports[0];
+
+  const byConfidence = (a, b) => (b.confidence ?? 0) - (a.confidence ?? 0);
+  const findings = dedupeFindings(reports.flatMap((report) => report.findings)).sort(byConfidence);
+
+  return {
+    drift_detected: reports.some((report) => report.drift_detected),
+    findings: findings.slice(0, Config.drift.maxFindings),
+    resolved_findings: dedupeFindings(reports.flatMap((report) => report.resolved_findings)),
+  };
+}
+
+/**
+ * Drops findings that cite the same evidence in the same doc as a more
+ * confident one.
+ */
+function dedupeFindings(findings) {
+  const findingsByKey = new Map();
+
+  for (const finding of findings) {
+    const evidence = Array.isArray(finding.evidence) ? finding.evidence.join(" ") : "";
+    const words = tokenizeWords(evidence).map(({ word }) => word);
+    const key = `${finding.doc_url}\n${words.join(" ")}`;
+
+    const existing = findingsByKey.get(key);
+    if (!existing || (finding.confidence ?? 0) > (existing.confidence ?? 0)) {
+      findingsByKey.set(key, finding);
+    }
+  }
+
+  return [...findingsByKey.values()];
+}
+
+/**
+ * Records what the analysis did not see in full: ignored files, truncated
+ * or missing diffs, change records over their limits, doc passages over
+ * the evidence budget and model calls skipped over `maxModelCalls`.
+ */
+function describeCoverage(changes, batches, skipped) {
+  // Each analyzed change set counts once, however many doc groups it was paired with
+  const omitted = {};
+  for (const batchChanges of new Set(batches.map((batch) => batch.changes))) {
+    for (const [kind, count] of Object.entries(batchChanges.omitted)) {
+      omitted[kind] = (omitted[kind] || 0) + count;
+    }
+  }
+  for (const docEvidence of batches.flatMap((batch) => batch.evidence || [])) {
+    omitted.evidence_passages =
+      (omitted.evidence_passages || 0) + (docEvidence.omitted_passages || 0);
+  }
+
+  const listFiles = (predicate) =>
+    changes.fileRecords.filter(predicate).map((record) => record.filename);
+
+  return {
+    model_calls: batches.length,
+    ignored_files: changes.ignoredFiles,
+    truncated_patches: listFiles((record) => record.patchTruncated),
+    files_without_diff: listFiles((record) => record.patchMissing),
+    omitted_changes: Object.fromEntries(Object.entries(omitted).filter(([, count]) => count > 0)),
+    skipped_calls: skipped.map((batch) => ({
+      files: batch.changes.prFiles.map((prFile) => prFile.filename),
+      docs: batch.evidence.map((docEvidence) => docEvidence.title),
+    })),
+  };
+}
+
+/**
+ * Moves findings the PR already fixed into `report.resolved_findings`,
+ * so they are reported but never count toward a build failure.
+ */
+function separateResolvedFindings(report) {
+  const findings = Array.isArray(report.findings) ? report.findings : [];
+
+  report.findings = findings.filter((finding) => !finding.resolved_in_pr);
+  report.resolved_findings = findings.filter((finding) => finding.resolved_in_pr);
+
+  if (report.resolved_findings.length > 0 && report.findings.length === 0) {
+    report.drift_detected = false;
+  }
+}
+
+export { analyzeDocuments, mergeReports, planAnalysisBatches };
@@ -0,0 +1,217 @@
+/**
+ * The suppression baseline (.doc-drift-baseline).
+ */
+
+import { readFile } from "node:fs/promises";
+import { parse as parseYaml, stringify as stringifyYaml } from "yaml";
+import { Log } from "./config.mjs";
+import { validateSchema, validationError } from "./repo-config.mjs";
+import { globToRegExp } from "./utils.mjs";
+
+/* ============================================================================
+   SUPPRESSION BASELINE
+
+   Some docs are behind on purpose, such as a migration guide that documents
+   the old API. The checked-in `.doc-drift-baseline` file lists accepted
+   drift, each entry with a reason and an optional expiry date. Suppressed
+   findings are still reported, but never fail the build.
+============================================================================ */
+
+const BASELINE_FILE = ".doc-drift-baseline";
+
+/**
+ * JSON Schema for the baseline file. An entry matches a finding when every
+ * criterion it names matches: the finding's ID (`fingerprint`), its doc
+ * (a glob), its section (including subsections) and a `token` its
+ * evidence or change summary mentions.
+ */
+const BASELINE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["version"],
+  properties: {
+    version: { type: "integer", enum: [1] },
+    suppressions: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["reason"],
+        properties: {
+          fingerprint: { type: "string" },
+          doc: { type: "string" },
+          section: { type: "string" },
+          token: { type: "string" },
+          reason: { type: "string" },
+          expires: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Reads and validates the baseline file. Returns an empty baseline when
+ * the file does not exist.
+ */
+async function loadBaseline(path = BASELINE_FILE) {
+  let text;
+  try {
+    text = await readFile(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { version: 1, suppressions: [] };
+    throw new Error(`Could not read baseline ${path}: ${error.message}`);
+  }
+
+  let baseline;
+  try {
+    baseline = parseYaml(text) ?? {};
+  } catch (error) {
+    throw new Error(`${path} is not valid YAML: ${error.message}`);
+  }
+
+  const errors = validateSchema(baseline, BASELINE_SCHEMA);
+  if (errors.length === 0) {
+    errors.push(...validateSuppressions(baseline.suppressions || []));
+  }
+  if (errors.length > 0) {
+    throw validationError(path, errors);
+  }
+
+  return { version: 1, suppressions: baseline.suppressions || [] };
+}
+
+/**
+ * Checks the rules BASELINE_SCHEMA cannot express.
+ */
+function validateSuppressions(suppressions) {
+  const errors = [];
+
+  suppressions.forEach((entry, index) => {
+    const at = `suppressions[${index}]`;
+    if (!entry.fingerprint && !entry.doc) {
+      errors.push(`${at}: must have a "fingerprint" or a "doc"`);
+    }
+    if (!entry.reason.trim()) {
+      errors.push(`${at}.reason: must not be empty`);
+    }
+    if (entry.expires !== undefined && !isValidDate(entry.expires)) {
+      errors.push(`${at}.expires: must be a date like 2025-12-31`);
+    }
+  });
+
+  return errors;
+}
+
+/** Tells whether a string is a real calendar date in YYYY-MM-DD form. */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Returns the baseline entries still in force, warning about expired ones
+ * so they get renewed or removed.
+ */
+function getActiveSuppressions(baseline, today = new Date().toISOString().slice(0, 10)) {
+  return baseline.suppressions.filter((entry) => {
+    if (entry.expires && entry.expires < today) {
+      const target = entry.fingerprint || entry.doc;
+      Log.warning(`Baseline entry for ${target} expired on ${entry.expires}; renew or remove it`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Tells whether a baseline entry covers a finding.
+ */
+function suppressionMatches(entry, finding) {
+  if (entry.fingerprint && entry.fingerprint !== finding.fingerprint) return false;
+  if (entry.doc && !globToRegExp(entry.doc).test(finding.doc_url || "")) return false;
+
+  if (entry.section) {
+    const section = finding.doc_section || "";
+    if (section !== entry.section && !section.startsWith(`${entry.section} > `)) return false;
+  }
+
+  if (entry.token) {
+    const text = [...(finding.evidence || []), finding.change_summary || ""].join("\n");
+    if (!text.toLowerCase().includes(entry.token.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Moves findings the baseline covers into `report.suppressed_findings`,
+ * each with the matching entry, so they never count toward a build failure.
+ */
+function applyBaseline(report, baseline) {
+  const suppressions = getActiveSuppressions(baseline);
+  const kept = [];
+  report.suppressed_findings = [];
+
+  for (const finding of report.findings) {
+    const suppression = suppressions.find((entry) => suppressionMatches(entry, finding));
+    if (suppression) {
+      report.suppressed_findings.push({ ...finding, suppression });
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  report.findings = kept;
+  if (kept.length === 0 && report.suppressed_findings.length > 0) {
+    report.drift_detected = false;
+  }
+}
+
+/**
+ * Adds an entry for every finding of a JSON report that the baseline does
+ * not cover yet, and drops expired entries. Existing entries keep their
+ * reasons. Returns the number of entries added.
+ */
+function refreshBaseline(baseline, report) {
+  const findings = Array.isArray(report?.findings) ? report.findings : null;
+  if (!findings) {
+    throw new Error('The report has no "findings"; pass a report written with --format json');
+  }
+  if (findings.some((finding) => !finding.fingerprint)) {
+    throw new Error("The report's findings have no IDs; regenerate it with this version");
+  }
+
+  baseline.suppressions = getActiveSuppressions(baseline);
+  let added = 0;
+
+  for (const finding of findings) {
+    if (baseline.suppressions.some((entry) => suppressionMatches(entry, finding))) continue;
+
+    baseline.suppressions.push({
+      fingerprint: finding.fingerprint,
+      doc: finding.doc_url,
+      reason: `Accepted drift: ${finding.change_summary}`,
+    });
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Serializes a baseline for writing, with a header explaining the format.
+ */
+function renderBaseline(baseline) {
+  const header = [
+    "# Accepted documentation drift. Findings matching an entry are reported",
+    "# as suppressed and never fail the build. Entries match on fingerprint,",
+    "# doc (glob), section and token; all criteria given must match.",
+    "# Optional: expires: YYYY-MM-DD",
+  ].join("\n");
+
+  return `${header}\n${stringifyYaml(baseline)}`;
+}
+
+export { BASELINE_FILE, applyBaseline, loadBaseline, refreshBaseline, renderBaseline };
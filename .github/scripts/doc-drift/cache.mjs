@@ -0,0 +1,105 @@
+/**
+ * On-disk cache for fetched docs, model responses and reports.
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { Config, Log } from "./config.mjs";
+
+/* ============================================================================
+   CACHE
+
+   Every push to a PR re-runs the analysis, although most pushes change
+   nothing it looks at. Fetched docs and model results are cached in a local
+   directory (Config.cache.dir) that the workflow persists with
+   actions/cache and the CLI can reuse between runs. Model results are
+   content-addressed: the key hashes everything that determines the result,
+   so a stale entry is never found rather than invalidated. Fetched docs
+   are kept per URL with their ETag/Last-Modified and revalidated.
+============================================================================ */
+
+/**
+ * Returns the SHA-256 hex digest of a string or JSON-serializable value.
+ */
+function hashContent(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Returns the path of a cache entry: `<dir>/<kind>/<ab>/<key>.json`.
+ */
+function cacheEntryPath(kind, key) {
+  return join(Config.cache.dir, kind, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Reads a cache entry. Returns null when caching is off or the entry is
+ * missing or unreadable. A hit refreshes the entry's age for pruning.
+ */
+async function readCacheEntry(kind, key) {
+  if (!Config.cache.dir) return null;
+
+  const path = cacheEntryPath(kind, key);
+  try {
+    const value = JSON.parse(await readFile(path, "utf8"));
+    const now = new Date();
+    await utimes(path, now, now);
+    return value;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      Log.warning(`Ignoring unreadable cache entry ${path}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Writes a cache entry through a temporary file, so a concurrent reader
+ * never sees a partial entry. Failures are logged, never fatal.
+ */
+async function writeCacheEntry(kind, key, value) {
+  if (!Config.cache.dir) return;
+
+  const path = cacheEntryPath(kind, key);
+  const tempPath = `${path}.${randomUUID()}.tmp`;
+  try {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(value));
+    await rename(tempPath, path);
+  } catch (error) {
+    Log.warning(`Could not write cache entry ${path}: ${error.message}`);
+    await rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * Removes cache entries unused for `maxAgeDays`, so a cache persisted
+ * across runs does not grow without bound.
+ */
+async function pruneCache() {
+  if (!Config.cache.dir) return;
+
+  const cutoff = Date.now() - Config.cache.maxAgeDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+
+  try {
+    const entries = await readdir(Config.cache.dir, { recursive: true, withFileTypes: true });
+    for (const entry of entries.filter((entry) => entry.isFile())) {
+      const path = join(entry.parentPath ?? entry.path, entry.name);
+      if ((await stat(path)).mtimeMs < cutoff) {
+        await rm(path, { force: true });
+        pruned++;
+      }
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") Log.warning(`Could not prune cache: ${error.message}`);
+  }
+
+  if (pruned > 0) {
+    Log.info(`Pruned ${pruned} unused cache entries`);
+  }
+}
+
+export { hashContent, pruneCache, readCacheEntry, writeCacheEntry };
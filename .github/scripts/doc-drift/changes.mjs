@@ -0,0 +1,242 @@
+/**
+ * Turns the changed files of a PR or git range into the change set the
+ * analysis works on.
+ */
+
+import { extractConfigChanges, selectConfigParser } from "./config-surface.mjs";
+import { Config, Log } from "./config.mjs";
+import { extractDependencyChanges, selectDependencyParser } from "./manifests.mjs";
+import { extractApiChanges, selectApiSchemaParser } from "./schema-diff.mjs";
+import { CHANGE_PRIORITY, extractDocRelevantTokens, mergeTokenRecords } from "./tokens.mjs";
+import { basename, compileGlobs, truncate } from "./utils.mjs";
+
+/* ============================================================================
+   FILE CHANGE DETECTION
+
+   Docs often name files directly ("edit config/settings.yml"). When a PR
+   renames or deletes such a file, the doc is stale even though no token in
+   any patch mentions it, so file operations are change signals of their own.
+============================================================================ */
+
+/**
+ * Turns a PR file entry into a file change record, or null for files that
+ * were only modified. Renames keep the previous path.
+ */
+function extractFileChange(file) {
+  switch (file.status) {
+    case "renamed":
+      return { change: "renamed", path: file.filename, previous_path: file.previous_filename };
+    case "removed":
+      return { change: "removed", path: file.filename };
+    case "added":
+      return { change: "added", path: file.filename };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds tagged search terms for file changes. Each path is searched both
+ * in full and by basename, since docs often mention just the file name.
+ * A file moved between directories keeps its basename, so only its full
+ * old path is searched.
+ */
+function fileChangeSearchTerms(fileChanges) {
+  const terms = [];
+  const addTerm = (token, change, extra = {}) => {
+    if (token && token.length >= 5) terms.push({ token, change, ...extra });
+  };
+
+  for (const fileChange of fileChanges) {
+    if (fileChange.change === "renamed") {
+      const oldName = basename(fileChange.previous_path);
+      const newName = basename(fileChange.path);
+
+      addTerm(fileChange.previous_path, "removed", { renamed_to: fileChange.path });
+      if (oldName !== newName) {
+        addTerm(oldName, "removed", { renamed_to: newName });
+      }
+    } else {
+      addTerm(fileChange.path, fileChange.change);
+      addTerm(basename(fileChange.path), fileChange.change);
+    }
+  }
+
+  return terms;
+}
+
+/* ============================================================================
+   CHANGE SET
+============================================================================ */
+
+/**
+ * Whether a file is analyzed from its full base and head contents
+ * rather than from its patch alone.
+ */
+function needsFullContent(filename) {
+  return Boolean(
+    selectDependencyParser(filename) ||
+    selectConfigParser(filename) ||
+    selectApiSchemaParser(filename)
+  );
+}
+
+/**
+ * Attaches `base_content` and `head_content` to files that need them.
+ * `readFileVersion(path, side)` returns a file's text on the "base" or
+ * "head" side, or null if it cannot be read; in that case the file keeps
+ * only its patch. Added files have an empty base, removed ones an empty head.
+ */
+async function attachFileContents(files, readFileVersion) {
+  for (const file of files) {
+    if (!needsFullContent(file.filename)) continue;
+
+    const basePath = file.previous_filename || file.filename;
+    const base = file.status === "added" ? "" : await readFileVersion(basePath, "base");
+    const head = file.status === "removed" ? "" : await readFileVersion(file.filename, "head");
+
+    if (base != null && head != null) {
+      file.base_content = base;
+      file.head_content = head;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Processes PR files to extract tokens and dependency, configuration, API schema
+ * and file changes. Files matching the ignore globs are skipped. The
+ * per-file records are kept in `fileRecords` so changes can later be
+ * narrowed to the files routed to a doc.
+ */
+function processPRFiles(files) {
+  const isIgnored = compileGlobs(Config.paths.ignore);
+  const includedFiles = files.filter((file) => !isIgnored(file.filename));
+
+  const ignoredCount = files.length - includedFiles.length;
+  if (ignoredCount > 0) {
+    Log.info(`Ignoring ${ignoredCount} changed file(s) matching the ignore globs`);
+  }
+
+  const fileRecords = includedFiles.map(extractFileRecord);
+  return {
+    ...combineFileRecords(fileRecords),
+    fileRecords,
+    ignoredFiles: files.filter((file) => isIgnored(file.filename)).map((file) => file.filename),
+  };
+}
+
+/**
+ * Extracts tokens and dependency, configuration, API schema and file
+ * changes from one changed file.
+ */
+function extractFileRecord(file) {
+  const patch = file.patch || "";
+
+  return {
+    filename: file.filename,
+    previousFilename: file.previous_filename || null,
+    patchTruncated: patch.length > Config.limits.maxPatchLength,
+    // Binary and oversized files come without a diff; pure renames need none
+    patchMissing: !patch && file.status !== "renamed",
+    // Extract documentation-relevant tokens
+    tokens: extractDocRelevantTokens(patch, file.filename),
+    // Detect dependency changes
+    dependencyChanges: extractDependencyChanges(file),
+    // Detect changes to scripts, env vars, Dockerfiles and Compose services
+    configChanges: extractConfigChanges(file),
+    // Compare OpenAPI and GraphQL schemas structurally
+    apiChanges: extractApiChanges(file),
+    // Record renamed, removed and added files
+    fileChange: extractFileChange(file),
+    // Store file info for AI analysis
+    prFile: {
+      filename: file.filename,
+      ...(file.previous_filename && { previous_filename: file.previous_filename }),
+      status: file.status,
+      patch: truncate(patch, Config.limits.maxPatchLength),
+    },
+  };
+}
+
+/**
+ * Merges per-file records into one set of changes, deduplicating and
+ * applying the configured limits.
+ */
+function combineFileRecords(fileRecords) {
+  const tokensByValue = new Map();
+  const prFiles = [];
+  const fileChanges = [];
+  const configChanges = [];
+  const apiChanges = [];
+  const dependencyChanges = {
+    added: [],
+    removed: [],
+    updated: [],
+  };
+
+  for (const record of fileRecords) {
+    for (const token of record.tokens) {
+      mergeTokenRecords(tokensByValue, token);
+    }
+
+    dependencyChanges.added.push(...record.dependencyChanges.added);
+    dependencyChanges.removed.push(...record.dependencyChanges.removed);
+    dependencyChanges.updated.push(...record.dependencyChanges.updated);
+
+    configChanges.push(...record.configChanges);
+    apiChanges.push(...record.apiChanges);
+
+    if (record.fileChange) {
+      fileChanges.push(record.fileChange);
+    }
+
+    prFiles.push(record.prFile);
+  }
+
+  // Deduplicate dependency changes (the same dependency across workspaces)
+  let omittedDependencies = 0;
+  for (const change of ["added", "removed", "updated"]) {
+    const unique = [
+      ...new Map(dependencyChanges[change].map((dep) => [JSON.stringify(dep), dep])).values(),
+    ];
+    dependencyChanges[change] = unique.slice(0, Config.limits.maxDependencies);
+    omittedDependencies += unique.length - dependencyChanges[change].length;
+  }
+
+  // Change records over their limits, reported as partial coverage
+  const omitted = {
+    dependency_changes: omittedDependencies,
+    config_changes: Math.max(0, configChanges.length - Config.limits.maxConfigChanges),
+    api_changes: Math.max(0, apiChanges.length - Config.limits.maxApiChanges),
+    file_changes: Math.max(0, fileChanges.length - Config.limits.maxFileChanges),
+  };
+
+  return {
+    tokens: [...tokensByValue.values()].sort(
+      (a, b) => CHANGE_PRIORITY[b.change] - CHANGE_PRIORITY[a.change]
+    ),
+    prFiles,
+    dependencyChanges,
+    configChanges: configChanges.slice(0, Config.limits.maxConfigChanges),
+    apiChanges: apiChanges.slice(0, Config.limits.maxApiChanges),
+    fileChanges: fileChanges.slice(0, Config.limits.maxFileChanges),
+    omitted,
+  };
+}
+
+/**
+ * Combines a subset of the file records into changes of their own. Token
+ * tags come from the full change set, so a token that moved to a file
+ * outside the subset is not mistaken for a removal.
+ */
+function narrowChanges(changes, fileRecords) {
+  const narrowed = combineFileRecords(fileRecords);
+  const tokensByValue = new Map(changes.tokens.map((token) => [token.token, token]));
+  narrowed.tokens = narrowed.tokens.map((token) => tokensByValue.get(token.token) || token);
+
+  return { ...narrowed, fileRecords };
+}
+
+export { attachFileContents, fileChangeSearchTerms, narrowChanges, processPRFiles };
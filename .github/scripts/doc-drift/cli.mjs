@@ -0,0 +1,215 @@
+/**
+ * The command-line interface: checks a local git range and prints the report.
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { analyzeDocuments } from "./ai-analysis.mjs";
+import {
+  BASELINE_FILE,
+  applyBaseline,
+  loadBaseline,
+  refreshBaseline,
+  renderBaseline,
+} from "./baseline.mjs";
+import { pruneCache } from "./cache.mjs";
+import { attachFileContents, processPRFiles } from "./changes.mjs";
+import { Config, Log } from "./config.mjs";
+import { runEvaluation } from "./eval.mjs";
+import { flagDocsChangedInPR, loadDocuments, resolveDocSources } from "./evidence.mjs";
+import {
+  createGitContentReader,
+  fetchGitRangeFiles,
+  getOriginRepoSlug,
+  resolveDocRef,
+} from "./git.mjs";
+import { assessBuildResult } from "./github.mjs";
+import { groundFindings } from "./grounding.mjs";
+import { fingerprintFindings } from "./lifecycle.mjs";
+import {
+  DEFAULT_USER_TEMPLATE,
+  loadDefaultSystemTemplate,
+  loadPromptTemplates,
+} from "./prompts.mjs";
+import { selectDocSources, setUpRepoConfig } from "./repo-config.mjs";
+import { buildSarifLog, renderReport, validateDriftMode } from "./report.mjs";
+
+/* ============================================================================
+   COMMAND-LINE INTERFACE
+============================================================================ */
+
+const CLI_USAGE = `Usage: node doc-drift.mjs [options]
+
+Checks a local git range for documentation drift and prints the report.
+
+Options:
+  --base <ref>       Base ref to compare against (default: main)
+  --head <ref>       Head ref to check (default: HEAD)
+  --docs <glob>      Doc files to scan, relative to the repo root (repeatable).
+                     Falls back to DOC_SOURCES_JSON, then to the config file.
+  --config <path>    Config file (default: .doc-drift.yml, if present)
+  --baseline <path>  Suppression baseline (default: .doc-drift-baseline)
+  --update-baseline <report.json>
+                     Add the findings of a JSON report to the baseline
+                     and exit, without analyzing anything
+  --init-prompts <dir>
+                     Write the default prompt templates to <dir> for
+                     customizing and exit, without analyzing anything
+  --format <format>  Output format: markdown, json or sarif (default: markdown)
+  --mode <mode>      Analysis mode: llm or rules (default: DRIFT_MODE, then llm)
+  --eval <dir>       Score the analysis against the golden fixtures in <dir>
+                     and print precision and recall instead of a report;
+                     exits 1 on any false positive or missed finding
+  -h, --help         Show this help
+
+Exit codes: 0 = no blocking drift, 1 = blocking drift (or a degraded analysis
+with INFRA_ERRORS_FAIL_BUILD=true), 2 = error`;
+
+/**
+ * Parses and validates command-line arguments.
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      base: { type: "string", default: "main" },
+      head: { type: "string", default: "HEAD" },
+      docs: { type: "string", multiple: true, default: [] },
+      config: { type: "string" },
+      baseline: { type: "string", default: BASELINE_FILE },
+      "update-baseline": { type: "string" },
+      "init-prompts": { type: "string" },
+      format: { type: "string", default: "markdown" },
+      mode: { type: "string" },
+      eval: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!["markdown", "json", "sarif"].includes(values.format)) {
+    throw new Error(`--format must be "markdown", "json" or "sarif", got "${values.format}"`);
+  }
+  if (values.eval && values.format === "sarif") {
+    throw new Error('--eval supports --format "markdown" or "json"');
+  }
+
+  return values;
+}
+
+/**
+ * CLI entry point. Runs the same pipeline as the action against a local git
+ * range and returns the process exit code.
+ */
+async function runCli(argv) {
+  const options = parseCliArgs(argv);
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return 0;
+  }
+
+  Log.info = (message) => console.error(message);
+  Log.warning = (message) => console.error(`warning: ${message}`);
+
+  if (options["update-baseline"]) {
+    return updateBaselineFile(options.baseline, options["update-baseline"]);
+  }
+  if (options["init-prompts"]) {
+    return writePromptTemplates(options["init-prompts"]);
+  }
+
+  const repoConfig = await setUpRepoConfig(options.config);
+  if (options.mode) Config.drift.mode = options.mode;
+  validateDriftMode();
+  await loadPromptTemplates();
+
+  if (options.eval) {
+    return runEvaluation(options.eval, options.format);
+  }
+
+  const configuredDocSources =
+    options.docs.length > 0 ? options.docs.map((path) => ({ path })) : selectDocSources(repoConfig);
+
+  const files = await fetchGitRangeFiles(options.base, options.head);
+  await attachFileContents(files, await createGitContentReader(options.base, options.head));
+  const changes = processPRFiles(files);
+
+  const resolvedDocSources = await resolveDocSources(configuredDocSources, {
+    ref: await resolveDocRef(options.head),
+    repoSlug: process.env.GITHUB_REPOSITORY || (await getOriginRepoSlug()),
+  });
+  const docSources = flagDocsChangedInPR(resolvedDocSources, files);
+
+  const documents = await loadDocuments(docSources);
+  const report = await analyzeDocuments(changes, documents);
+  groundFindings(report, documents);
+  fingerprintFindings(report, changes);
+  applyBaseline(report, await loadBaseline(options.baseline));
+  await pruneCache();
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (options.format === "sarif") {
+    console.log(JSON.stringify(buildSarifLog(report, documents), null, 2));
+  } else {
+    console.log(renderReport(report));
+  }
+
+  const { shouldFail, message } = assessBuildResult(report, documents);
+  if (message) {
+    console.error(message);
+  }
+
+  return shouldFail ? 1 : 0;
+}
+
+/**
+ * Handles `--update-baseline`: adds the findings of a JSON report to the
+ * baseline file, creating it if needed. Returns the exit code.
+ */
+async function updateBaselineFile(baselinePath, reportPath) {
+  let report;
+  try {
+    report = JSON.parse(await readFile(reportPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read JSON report ${reportPath}: ${error.message}`);
+  }
+
+  const baseline = await loadBaseline(baselinePath);
+  const added = refreshBaseline(baseline, report);
+  await writeFile(baselinePath, renderBaseline(baseline));
+
+  Log.info(
+    added > 0
+      ? `Added ${added} finding(s) to ${baselinePath}; review the generated reasons`
+      : `All findings are already in ${baselinePath}`
+  );
+  return 0;
+}
+
+/**
+ * Handles `--init-prompts`: writes the default templates to a directory,
+ * never overwriting existing files. Returns the exit code.
+ */
+async function writePromptTemplates(dir) {
+  const templates = { system: await loadDefaultSystemTemplate(), user: DEFAULT_USER_TEMPLATE };
+  await mkdir(dir, { recursive: true });
+
+  for (const [kind, template] of Object.entries(templates)) {
+    const path = join(dir, `${kind}.md`);
+    try {
+      await writeFile(path, template.endsWith("\n") ? template : `${template}\n`, { flag: "wx" });
+    } catch (error) {
+      if (error.code === "EEXIST") throw new Error(`${path} already exists`);
+      throw error;
+    }
+  }
+
+  Log.info(
+    `Wrote ${join(dir, "system.md")} and ${join(dir, "user.md")}; point prompt.system_template and prompt.user_template at them in the config file`
+  );
+  return 0;
+}
+
+export { runCli };
@@ -0,0 +1,314 @@
+/**
+ * Detects changes to run configuration: npm scripts, env files,
+ * Dockerfiles and Compose services.
+ */
+
+import { getManifestVersions, parseJsonManifest } from "./manifests.mjs";
+import { truncate } from "./utils.mjs";
+
+/* ============================================================================
+   CONFIGURATION SURFACE DETECTION
+
+   "How to run it" docs go stale through files users copy commands from:
+   npm scripts and bins, .env templates, Dockerfiles and Compose files.
+   These are parsed into named entries on both sides of the change, so a
+   renamed script or a dropped variable is reported as such instead of
+   surfacing only by chance through the generic token patterns.
+============================================================================ */
+
+/**
+ * Configuration surfaces by file name. Each parser returns entries
+ * `{ surface, name, value }`; `surface` is one of CONFIG_SURFACES.
+ */
+const CONFIG_FILES = [
+  { pattern: /(^|\/)package\.json$/, parse: parsePackageConfig },
+  {
+    pattern: /(^|\/)\.env(\.[\w-]+)*\.(example|sample|template|dist|defaults)$/,
+    parse: parseEnvFile,
+  },
+  {
+    pattern: /(^|\/)(Dockerfile|Containerfile)(\.[\w.-]+)?$|\.Dockerfile$/,
+    parse: parseDockerfile,
+  },
+  { pattern: /(^|\/)(docker-)?compose(\.[\w-]+)?\.ya?ml$/, parse: parseComposeFile },
+];
+
+/**
+ * How each surface is compared and searched for in docs.
+ *
+ * `pairRenames` pairs a removed entry with an added one holding the same
+ * value (a script whose command is unchanged, a service running the same
+ * image, a port exposed by the same service) and reports a rename.
+ * Environment variables are never paired: values like "true" are shared
+ * by unrelated variables. `reportUpdates` is off where the value only
+ * serves that pairing.
+ */
+const CONFIG_SURFACES = {
+  "npm script": {
+    pairRenames: true,
+    reportUpdates: true,
+    searchTerms: (name) => [`run ${name}`, `yarn ${name}`, `pnpm ${name}`],
+  },
+  bin: { pairRenames: true, reportUpdates: true, searchTerms: (name) => [name] },
+  "env var": { pairRenames: false, reportUpdates: true, searchTerms: (name) => [name] },
+  "build arg": { pairRenames: false, reportUpdates: true, searchTerms: (name) => [name] },
+  port: {
+    pairRenames: true,
+    reportUpdates: false,
+    searchTerms: (name) => [`:${name}`, `port ${name}`],
+  },
+  "compose service": { pairRenames: true, reportUpdates: false, searchTerms: (name) => [name] },
+};
+
+/**
+ * Extracts configuration changes from a changed file.
+ *
+ * Returns records `{ surface, change, name, file, summary }` where change is
+ * "added", "removed", "updated" (with `from` and `to`) or "renamed" (with
+ * `renamed_to`), e.g. npm script "dev" renamed to "start:dev".
+ */
+function extractConfigChanges(file) {
+  const configFile = selectConfigParser(file.filename);
+  if (!configFile) return [];
+
+  const { before, after } = getManifestVersions(file);
+  const changes = diffConfigEntries(configFile.parse(before), configFile.parse(after));
+
+  return changes.map((change) => ({
+    ...change,
+    file: file.filename,
+    summary: describeConfigChange(change),
+  }));
+}
+
+/**
+ * Selects the configuration parser for a file, or null if the file
+ * defines no configuration surface.
+ */
+function selectConfigParser(filename) {
+  return CONFIG_FILES.find((configFile) => configFile.pattern.test(filename)) || null;
+}
+
+/**
+ * Compares two entry lists keyed by surface and name, then pairs removed
+ * and added entries of renaming surfaces by value.
+ */
+function diffConfigEntries(beforeEntries, afterEntries) {
+  const key = (entry) => `${entry.surface}\u0000${entry.name}`;
+  const beforeByKey = new Map(beforeEntries.map((entry) => [key(entry), entry]));
+  const afterByKey = new Map(afterEntries.map((entry) => [key(entry), entry]));
+  const record = ({ surface, name }, change, extra) => ({ surface, change, name, ...extra });
+  const clip = (value) => truncate(value, 120);
+
+  const changes = [];
+  const removed = [];
+  const added = [...afterByKey.values()].filter((entry) => !beforeByKey.has(key(entry)));
+
+  for (const [entryKey, entry] of beforeByKey) {
+    const next = afterByKey.get(entryKey);
+    if (!next) {
+      removed.push(entry);
+    } else if (next.value !== entry.value && CONFIG_SURFACES[entry.surface].reportUpdates) {
+      changes.push(record(entry, "updated", { from: clip(entry.value), to: clip(next.value) }));
+    }
+  }
+
+  for (const entry of removed) {
+    const isSameEntry = (next) =>
+      next.surface === entry.surface && next.value && next.value === entry.value;
+    const renamedTo = CONFIG_SURFACES[entry.surface].pairRenames ? added.find(isSameEntry) : null;
+
+    if (renamedTo) {
+      added.splice(added.indexOf(renamedTo), 1);
+      changes.push(record(entry, "renamed", { renamed_to: renamedTo.name }));
+    } else {
+      changes.push(record(entry, "removed", { value: clip(entry.value) }));
+    }
+  }
+
+  for (const entry of added) {
+    changes.push(record(entry, "added", { value: clip(entry.value) }));
+  }
+
+  return changes;
+}
+
+/**
+ * Describes a configuration change in one line for the model and the report.
+ */
+function describeConfigChange(change) {
+  const subject = `${change.surface} "${change.name}"`;
+
+  switch (change.change) {
+    case "renamed":
+      return change.surface === "port"
+        ? `${subject} changed to "${change.renamed_to}"`
+        : `${subject} renamed to "${change.renamed_to}"`;
+    case "updated":
+      return `${subject} changed from "${change.from}" to "${change.to}"`;
+    default:
+      return `${subject} ${change.change}`;
+  }
+}
+
+/**
+ * Builds tagged search terms for configuration changes. Renamed entries are
+ * searched under their old name, with the new name as `renamed_to`. Bare
+ * names shorter than 4 characters are skipped as too noisy to search.
+ */
+function configChangeSearchTerms(configChanges) {
+  const terms = [];
+
+  for (const configChange of configChanges) {
+    const { searchTerms } = CONFIG_SURFACES[configChange.surface];
+    const change = configChange.change === "renamed" ? "removed" : configChange.change;
+    const newTerms = configChange.renamed_to ? searchTerms(configChange.renamed_to) : [];
+
+    searchTerms(configChange.name).forEach((token, index) => {
+      if (token.length < 4) return;
+      const renamedTo = newTerms[index];
+      terms.push(renamedTo ? { token, change, renamed_to: renamedTo } : { token, change });
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * package.json: `scripts` and `bin` entries. A string `bin` installs one
+ * command named after the (unscoped) package.
+ */
+function parsePackageConfig(text) {
+  const entries = parseJsonManifest(text, { scripts: "npm script", bin: "bin" }).map(
+    ({ name, version, scope }) => ({ surface: scope, name, value: version })
+  );
+
+  try {
+    const json = JSON.parse(text);
+    if (typeof json?.bin === "string" && typeof json.name === "string") {
+      entries.push({ surface: "bin", name: json.name.replace(/^@[^/]+\//, ""), value: json.bin });
+    }
+  } catch {
+    // Partial text from a patch; object-form entries were found above
+  }
+
+  return entries;
+}
+
+/** .env templates: `KEY=value` lines, optionally prefixed with `export`. */
+function parseEnvFile(text) {
+  const entries = [];
+
+  for (const line of text.split("\n")) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (match) {
+      const value = match[2].replace(/\s+#.*$/, "").replace(/^(["'])(.*)\1$/, "$2");
+      entries.push({ surface: "env var", name: match[1], value });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Dockerfile: `EXPOSE` ports, `ENV` variables (both `KEY=value` and the
+ * legacy `KEY value` form) and `ARG` build arguments.
+ */
+function parseDockerfile(text) {
+  const entries = [];
+  const instructions = text.replace(/\\\r?\n/g, " ").split("\n");
+
+  for (const instruction of instructions) {
+    const match = instruction.match(/^\s*(EXPOSE|ENV|ARG)\s+(.+)$/i);
+    if (!match) continue;
+
+    const [, keyword, args] = match;
+    switch (keyword.toUpperCase()) {
+      case "EXPOSE":
+        for (const port of args.trim().split(/\s+/)) {
+          entries.push({
+            surface: "port",
+            name: port.replace(/\/(tcp|udp)$/i, ""),
+            value: "EXPOSE",
+          });
+        }
+        break;
+      case "ENV": {
+        const [first, ...rest] = args.trim().split(/\s+/);
+        if (!first.includes("=")) {
+          entries.push({ surface: "env var", name: first, value: rest.join(" ") });
+          break;
+        }
+        const pairs = args.matchAll(/([A-Za-z_][A-Za-z0-9_]*)=("[^"]*"|'[^']*'|\S*)/g);
+        for (const [, name, value] of pairs) {
+          entries.push({ surface: "env var", name, value: value.replace(/^(["'])(.*)\1$/, "$2") });
+        }
+        break;
+      }
+      case "ARG": {
+        const [name, ...value] = args.trim().split("=");
+        entries.push({ surface: "build arg", name, value: value.join("=") });
+        break;
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Compose files: the services under the top-level `services:` key, and the
+ * host ports each one publishes. A service's value is its `image` (or
+ * inline `build`), so a service renamed but still running the same image
+ * is paired up as a rename.
+ */
+function parseComposeFile(text) {
+  const entries = [];
+  let inServices = false;
+  let serviceIndent = null;
+  let service = null;
+  let inPorts = false;
+
+  for (const line of text.split("\n")) {
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+
+    const indent = line.match(/^\s*/)[0].length;
+    if (indent === 0) {
+      inServices = /^services:\s*$/.test(line);
+      service = null;
+      continue;
+    }
+    if (!inServices) continue;
+
+    serviceIndent ??= indent;
+    const key = line.match(/^\s*([\w.-]+):/);
+
+    if (indent === serviceIndent && key) {
+      service = { surface: "compose service", name: key[1], value: "" };
+      entries.push(service);
+      inPorts = false;
+      continue;
+    }
+    if (!service || indent <= serviceIndent) continue;
+
+    const image = line.match(/^\s*(image|build):\s*(\S.*)$/);
+    if (image && !service.value) {
+      service.value = `${image[1]}: ${image[2]}`;
+    }
+
+    if (key) {
+      inPorts = key[1] === "ports";
+    } else if (inPorts) {
+      // "80", "8080:80" or "127.0.0.1:8080:80/tcp": the host port comes
+      // before the container port when one is published
+      const mapping = line.match(/^\s*-\s*["']?([\d.:]+)/);
+      const parts = mapping ? mapping[1].split(":") : [];
+      const port = parts.length > 1 ? parts[parts.length - 2] : parts[0];
+      if (port) entries.push({ surface: "port", name: port, value: service.name });
+    }
+  }
+
+  return entries;
+}
+
+export { configChangeSearchTerms, describeConfigChange, extractConfigChanges, selectConfigParser };
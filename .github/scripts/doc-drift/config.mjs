@@ -0,0 +1,142 @@
+/**
+ * Settings shared by every module: the tunables, read from the environment
+ * with sensible defaults, and the log sink.
+ */
+
+import core from "@actions/core";
+
+/* ============================================================================
+   CONFIGURATION
+   
+   All tunables gathered in one place with sensible defaults.
+============================================================================ */
+
+const Config = {
+  llm: {
+    provider: (process.env.LLM_PROVIDER || "openai").toLowerCase(),
+    model: process.env.LLM_MODEL,
+    apiKey: process.env.LLM_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL,
+    azureApiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+    maxOutputTokens: parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || "8192", 10),
+  },
+
+  drift: {
+    // "llm" asks the model; "rules" applies deterministic rules (DRIFT_MODES)
+    mode: (process.env.DRIFT_MODE || "llm").toLowerCase(),
+    failsBuild: (process.env.DRIFT_FAILS_BUILD || "true").toLowerCase() === "true",
+    confidenceThreshold: parseFloat(process.env.DRIFT_CONFIDENCE_THRESHOLD || "0.75"),
+    maxFindings: parseInt(process.env.MAX_FINDINGS || "25", 10),
+    // When the model stays unavailable, fail instead of posting a degraded report
+    infraErrorsFailBuild: (process.env.INFRA_ERRORS_FAIL_BUILD || "false").toLowerCase() === "true",
+  },
+
+  limits: {
+    maxDocBytes: parseInt(process.env.MAX_DOC_BYTES || "250000", 10),
+    maxPatchLength: 12000,
+    maxTokens: 40,
+    maxDependencies: 50,
+    maxFileChanges: 50,
+    maxConfigChanges: 50,
+    maxApiChanges: 50,
+    maxSnippetsPerToken: 3,
+    maxPassageChars: 1500,
+    maxPassagesPerDoc: 12,
+    // Estimated tokens of doc passages per model call, most relevant first
+    maxEvidenceTokens: 20000,
+    // Estimated input tokens per model call; larger PRs are split into batches
+    maxPromptTokens: 60000,
+    maxModelCalls: 12,
+    maxConcurrentCalls: 3,
+  },
+
+  network: {
+    // Timeouts per attempt; a timed-out request is retried like a 503
+    docTimeoutMs: 30000,
+    modelTimeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || "120000", 10),
+    // Retries after the first attempt for timeouts, network errors, 408, 429 and 5xx
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || "3", 10),
+    retryBaseDelayMs: 1000,
+    // Upper bound for backoff delays and Retry-After waits
+    maxRetryDelayMs: 60000,
+  },
+
+  prompt: {
+    // Template files replacing the defaults (see PROMPT TEMPLATES)
+    systemTemplate: null,
+    userTemplate: null,
+    // { term, meaning } entries and extra rules, added to the system prompt
+    glossary: [],
+    rules: [],
+  },
+
+  grounding: {
+    // Share of an excerpt's words that must appear in one place in the doc
+    minExcerptScore: 0.6,
+    // At or above this share an excerpt counts as a verbatim quote
+    verbatimScore: 0.9,
+  },
+
+  paths: {
+    // Changed files that never feed drift analysis: tests, snapshots,
+    // lockfiles and generated or minified output
+    ignore: [
+      "**/{test,tests,__tests__,spec}/**",
+      "**/*.{test,spec}.*",
+      "**/*_test.go",
+      "**/test_*.py",
+      "**/__snapshots__/**",
+      "**/*.snap",
+      "**/{package-lock.json,npm-shrinkwrap.json,yarn.lock,pnpm-lock.yaml,Cargo.lock,Gemfile.lock,poetry.lock,Pipfile.lock,composer.lock,go.sum}",
+      "**/*.generated.*",
+      "**/*.min.{js,css}",
+      "**/*.map",
+    ],
+    // { paths, docs } routes: a doc matched by any route is only searched
+    // for changes to the code paths routed to it
+    routes: [],
+  },
+
+  cache: {
+    // Directory for cached doc fetches and model results; caching is off when unset
+    dir: process.env.DOC_DRIFT_CACHE_DIR || null,
+    // Entries unused for this many days are pruned at the end of a run
+    maxAgeDays: 14,
+  },
+
+  output: {
+    // Outputs besides the PR comment, from OUTPUT_FORMATS
+    formats: (process.env.DOC_DRIFT_OUTPUTS || "json,summary,check")
+      .split(",")
+      .map((format) => format.trim())
+      .filter(Boolean),
+    jsonPath: "doc-drift-report.json",
+    sarifPath: "doc-drift.sarif",
+  },
+};
+
+const PR_COMMENT_MARKER = "<!-- doc-drift-report -->";
+
+/** The account the workflow's GITHUB_TOKEN comments as. */
+const REPORT_COMMENT_AUTHOR = "github-actions[bot]";
+
+/**
+ * Report outputs a run can produce: a JSON file, a SARIF log, the step
+ * summary and a Check Run with annotations.
+ */
+const OUTPUT_FORMATS = ["json", "sarif", "summary", "check"];
+
+/** Ways to judge the evidence: a model call, or deterministic rules only. */
+const DRIFT_MODES = ["llm", "rules"];
+
+/**
+ * Log sink for warnings and progress messages.
+ * Defaults to Actions annotations; the CLI redirects it to stderr
+ * so stdout carries only the report.
+ */
+const Log = {
+  info: (message) => core.info(message),
+  warning: (message) => core.warning(message),
+};
+
+export { Config, DRIFT_MODES, Log, OUTPUT_FORMATS, PR_COMMENT_MARKER, REPORT_COMMENT_AUTHOR };
@@ -0,0 +1,344 @@
+/**
+ * Document structure and search: routes changed files to docs, cuts docs
+ * into Markdown blocks and ranks them with a local BM25 index.
+ */
+
+import { Config, Log } from "./config.mjs";
+import { compileGlobs } from "./utils.mjs";
+
+/* ============================================================================
+   PATH ROUTING
+
+   Not every changed file can affect every doc: a CSS tweak has no business
+   being searched against the API reference. Routes such as
+   `src/api/** -> docs/api.md` restrict a doc to the changes under the code
+   paths mapped to it. Docs no route mentions are searched for every change.
+============================================================================ */
+
+/**
+ * Compiles the configured routes into `{ matchesCode, matchesDoc }`
+ * predicates.
+ */
+function compileRoutes(routes) {
+  return routes.map((route) => ({
+    matchesCode: compileGlobs(route.paths),
+    matchesDoc: compileGlobs(route.docs),
+  }));
+}
+
+/**
+ * Warns about configured routes whose docs match no loaded document,
+ * which usually means a typo in the route.
+ */
+function warnAboutUnmatchedRoutes(documents) {
+  for (const route of Config.paths.routes) {
+    const matchesDoc = compileGlobs(route.docs);
+    if (!documents.some((document) => matchesDoc(getDocumentPath(document)))) {
+      Log.warning(`Route ${route.paths.join(", ")} -> ${route.docs.join(", ")} matches no doc`);
+    }
+  }
+}
+
+/**
+ * Returns a predicate selecting the file records routed to a doc, or null
+ * when no route mentions the doc. Renamed files match on either path.
+ */
+function selectRoutedFiles(document, routes) {
+  const docRoutes = routes.filter((route) => route.matchesDoc(getDocumentPath(document)));
+  if (docRoutes.length === 0) return null;
+
+  return (record) =>
+    docRoutes.some(
+      (route) =>
+        route.matchesCode(record.filename) ||
+        (record.previousFilename && route.matchesCode(record.previousFilename))
+    );
+}
+
+/**
+ * Returns the path routes are matched against: the repo-relative path for
+ * docs in the repository, the URL for remote docs.
+ */
+function getDocumentPath(document) {
+  return document.path || document.url;
+}
+
+/* ============================================================================
+   DOCUMENT STRUCTURE
+
+   Docs are split into Markdown blocks (headings, paragraphs, lists, fenced
+   code) so evidence is whole blocks with their heading breadcrumb and line
+   range, rather than fixed-width slices that cut sentences and code in half.
+============================================================================ */
+
+/**
+ * Parses Markdown into blocks: { type, headingPath, startLine, endLine }.
+ * Lines are 1-based and inclusive. Non-Markdown text parses as paragraphs.
+ */
+function parseMarkdownBlocks(text) {
+  const blocks = [];
+  const headingPath = [];
+  let current = null;
+  let fence = null;
+
+  const startBlock = (type, lineNumber) => {
+    current = {
+      type,
+      headingPath: headingPath.filter(Boolean),
+      startLine: lineNumber,
+      endLine: lineNumber,
+    };
+    blocks.push(current);
+  };
+
+  text.split("\n").forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    if (fence) {
+      current.endLine = lineNumber;
+      if (line.trim().startsWith(fence)) fence = null;
+      return;
+    }
+
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      startBlock("code", lineNumber);
+      return;
+    }
+
+    const headingMatch = line.match(/^\s{0,3}(#{1,6})\s+(.*?)[\s#]*$/);
+    if (headingMatch) {
+      const level = headingMatch[1].length;
+      headingPath.splice(level - 1);
+      headingPath[level - 1] = headingMatch[2];
+      startBlock("heading", lineNumber);
+      current = null;
+      return;
+    }
+
+    if (!line.trim()) {
+      current = null;
+      return;
+    }
+
+    const isListItem = /^\s*([-*+]|\d+[.)])\s/.test(line);
+    const continuesList = current?.type === "list" && /^\s/.test(line);
+    const type = isListItem || continuesList ? "list" : "paragraph";
+
+    if (current?.type === type) {
+      current.endLine = lineNumber;
+    } else {
+      startBlock(type, lineNumber);
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Finds the block containing a line, or null if the line is blank.
+ */
+function findBlockAtLine(blocks, lineNumber) {
+  return (
+    blocks.find((block) => block.startLine <= lineNumber && lineNumber <= block.endLine) || null
+  );
+}
+
+/**
+ * Formats a heading path as a breadcrumb, e.g. "Setup > Environment".
+ */
+function formatHeadingPath(headingPath) {
+  return headingPath.length > 0 ? headingPath.join(" > ") : "(top of document)";
+}
+
+/* ============================================================================
+   LEXICAL RANKING
+
+   Exact matching misses docs that say "the teams endpoint" for `/v1/teams`
+   or "React Query" for `@tanstack/react-query`, while a common token can
+   flood the evidence. Every doc is cut into chunks (Markdown blocks, split
+   at the passage size) and indexed offline with BM25 over identifier-aware
+   terms: camelCase, kebab-case, snake_case, scopes and paths are split
+   into words. Chunks are then ranked against each search term.
+============================================================================ */
+
+/** BM25 term-frequency saturation and length normalization. */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Share of a search term's words a chunk must contain to count as a
+ * related match when it does not contain the term verbatim.
+ */
+const MIN_RELATED_COVERAGE = 0.6;
+
+/**
+ * Words in more than this share of all chunks say nothing about
+ * relevance and never make a related match on their own.
+ */
+const MAX_RELATED_CHUNK_SHARE = 0.5;
+
+/** English function words, dropped from the index and from queries. */
+const STOP_WORDS = new Set(
+  "the and for with this that these those from are was were you your not but can will into its our all any has have had when then than via per also may how what which who them they their there here out about should must would could been being does did".split(
+    " "
+  )
+);
+
+/**
+ * Splits text into lowercase index terms. Identifiers are broken at
+ * punctuation and case changes ("@tanstack/react-query" -> tanstack,
+ * react, query; "getUserById" -> get, user, by, id), plurals lose their
+ * trailing "s", and stop words, numbers and version segments are dropped.
+ */
+function tokenizeIdentifiers(text) {
+  const terms = [];
+
+  for (const word of text.match(/[A-Za-z0-9]+/g) || []) {
+    for (const part of word.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)) {
+      let term = part.toLowerCase();
+      if (term.length > 3 && term.endsWith("s") && !term.endsWith("ss")) {
+        term = term.slice(0, -1);
+      }
+      if (term.length < 2 || STOP_WORDS.has(term) || /^v?\d+$/.test(term)) continue;
+      terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Cuts a parsed document into chunks: one per Markdown block, with blocks
+ * longer than `maxPassageChars` split between lines. Each chunk carries its
+ * term counts, including the words of its heading breadcrumb.
+ */
+function chunkDocument(text, blocks) {
+  const lines = text.split("\n");
+  const chunks = [];
+
+  const addChunk = (block, startLine, endLine) => {
+    const chunkText = lines.slice(startLine - 1, endLine).join("\n");
+    const terms = tokenizeIdentifiers(`${block.headingPath.join(" ")} ${chunkText}`);
+    const termCounts = new Map();
+    for (const term of terms) termCounts.set(term, (termCounts.get(term) || 0) + 1);
+
+    chunks.push({
+      type: block.type,
+      headingPath: block.headingPath,
+      startLine,
+      endLine,
+      text: chunkText,
+      termCounts,
+      length: terms.length,
+    });
+  };
+
+  for (const block of blocks) {
+    let startLine = block.startLine;
+    let size = 0;
+
+    for (let line = block.startLine; line <= block.endLine; line++) {
+      const lineSize = lines[line - 1].length + 1;
+      if (line > startLine && size + lineSize > Config.limits.maxPassageChars) {
+        addChunk(block, startLine, line - 1);
+        startLine = line;
+        size = 0;
+      }
+      size += lineSize;
+    }
+
+    addChunk(block, startLine, block.endLine);
+  }
+
+  return chunks;
+}
+
+/**
+ * Builds the corpus statistics BM25 needs over the chunks of all docs.
+ */
+function buildChunkIndex(documents) {
+  const chunks = documents.flatMap((document) => document.chunks);
+  const chunkFrequency = new Map();
+
+  for (const chunk of chunks) {
+    for (const term of chunk.termCounts.keys()) {
+      chunkFrequency.set(term, (chunkFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  return {
+    chunkCount: chunks.length,
+    chunkFrequency,
+    averageLength: totalLength / Math.max(chunks.length, 1),
+  };
+}
+
+/**
+ * Scores a chunk against the words of a search term with BM25. `coverage`
+ * is the share of the informative words (see MAX_RELATED_CHUNK_SHARE) the
+ * chunk contains.
+ */
+function scoreChunk(index, chunk, queryTerms) {
+  let score = 0;
+  let informative = 0;
+  let matched = 0;
+
+  for (const term of queryTerms) {
+    const chunksWithTerm = index.chunkFrequency.get(term) || 0;
+    const isInformative = chunksWithTerm <= index.chunkCount * MAX_RELATED_CHUNK_SHARE;
+    if (isInformative) informative++;
+
+    const frequency = chunk.termCounts.get(term) || 0;
+    if (frequency === 0) continue;
+    if (isInformative) matched++;
+
+    const idf = Math.log(1 + (index.chunkCount - chunksWithTerm + 0.5) / (chunksWithTerm + 0.5));
+    const lengthNorm = 1 - BM25_B + (BM25_B * chunk.length) / index.averageLength;
+    score += (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+  }
+
+  return { score, coverage: informative > 0 ? matched / informative : 0 };
+}
+
+/**
+ * Ranks a doc's chunks against one search term. A chunk matches exactly
+ * when it contains the term verbatim (ignoring case), and is related when
+ * it covers at least MIN_RELATED_COVERAGE of the term's informative words.
+ * Headings (whose words every chunk below them already carries) and
+ * "moved" terms (still in the code) only match exactly.
+ * Returns the best `maxSnippetsPerToken` matches, exact ones first.
+ */
+function rankChunks(index, document, term) {
+  const queryTerms = [...new Set(tokenizeIdentifiers(term.token))];
+  const lowerToken = term.token.toLowerCase();
+  const matches = [];
+
+  for (const chunk of document.chunks) {
+    const exact = chunk.text.toLowerCase().includes(lowerToken);
+    const canRelate = chunk.type !== "heading" && term.change !== "moved";
+    const { score, coverage } = scoreChunk(index, chunk, queryTerms);
+    if (exact || (canRelate && coverage >= MIN_RELATED_COVERAGE)) {
+      matches.push({ chunk, exact, score });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.exact - a.exact || b.score - a.score)
+    .slice(0, Config.limits.maxSnippetsPerToken);
+}
+
+export {
+  buildChunkIndex,
+  chunkDocument,
+  compileRoutes,
+  findBlockAtLine,
+  formatHeadingPath,
+  parseMarkdownBlocks,
+  rankChunks,
+  selectRoutedFiles,
+  tokenizeIdentifiers,
+  warnAboutUnmatchedRoutes,
+};
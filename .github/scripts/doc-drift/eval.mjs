@@ -0,0 +1,332 @@
+/**
+ * Scores the analysis against golden fixtures.
+ */
+
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parse as parseYaml } from "yaml";
+import { analyzeDocuments } from "./ai-analysis.mjs";
+import { processPRFiles } from "./changes.mjs";
+import { Config, Log } from "./config.mjs";
+import { createDocument, flagDocsChangedInPR } from "./evidence.mjs";
+import { groundFindings } from "./grounding.mjs";
+import { getPromptVersion } from "./prompts.mjs";
+import { resolveLLMSettings } from "./providers.mjs";
+import { validateSchema, validationError } from "./repo-config.mjs";
+
+/* ============================================================================
+   EVALUATION
+
+   Scores the pipeline against golden fixtures: recorded PR files, doc texts
+   and the findings a reviewer expects. Running the same fixtures before and
+   after a model or prompt change shows whether precision and recall moved.
+============================================================================ */
+
+/** File extensions read as fixtures from an evaluation directory. */
+const EVAL_FIXTURE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * JSON Schema for an evaluation fixture. `files` use the shape of the
+ * GitHub pull request files API (see fetchPRFiles), optionally with the
+ * `base_content` and `head_content` that attachFileContents would add.
+ */
+const EVAL_FIXTURE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["files", "docs", "expected"],
+  properties: {
+    name: { type: "string" },
+    description: { type: "string" },
+    files: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["filename", "status"],
+        properties: {
+          filename: { type: "string" },
+          previous_filename: { type: "string" },
+          status: { type: "string" },
+          patch: { type: "string" },
+          base_content: { type: "string" },
+          head_content: { type: "string" },
+        },
+      },
+    },
+    docs: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["path", "text"],
+        properties: {
+          path: { type: "string" },
+          text: { type: "string" },
+        },
+      },
+    },
+    expected: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["doc"],
+        properties: {
+          doc: { type: "string" },
+          evidence: { type: "string" },
+          line: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Loads and validates every fixture in a directory, in file name order.
+ */
+async function loadEvalFixtures(dir) {
+  let names;
+  try {
+    names = (await readdir(dir)).filter((name) => EVAL_FIXTURE_PATTERN.test(name)).sort();
+  } catch (error) {
+    throw new Error(`Could not read fixture directory ${dir}: ${error.message}`);
+  }
+
+  if (names.length === 0) {
+    throw new Error(`No fixtures (*.json, *.yml) found in ${dir}`);
+  }
+
+  const fixtures = [];
+  for (const name of names) {
+    const path = join(dir, name);
+    let fixture;
+    try {
+      fixture = parseYaml(await readFile(path, "utf8"));
+    } catch (error) {
+      throw new Error(`${path} is not valid JSON or YAML: ${error.message}`);
+    }
+
+    const errors = validateSchema(fixture, EVAL_FIXTURE_SCHEMA, "fixture");
+    if (errors.length === 0) {
+      const docPaths = new Set(fixture.docs.map((doc) => doc.path));
+      fixture.expected.forEach((expected, index) => {
+        if (!docPaths.has(expected.doc)) {
+          errors.push(
+            `fixture.expected[${index}].doc: "${expected.doc}" is not one of the fixture docs`
+          );
+        }
+      });
+    }
+    if (errors.length > 0) {
+      throw validationError(path, errors);
+    }
+
+    fixtures.push({ name: fixture.name || name.replace(EVAL_FIXTURE_PATTERN, ""), ...fixture });
+  }
+
+  return fixtures;
+}
+
+/**
+ * Runs one fixture through the same pipeline as a pull request, with the
+ * configured analysis mode and model, and scores the findings.
+ */
+async function evaluateFixture(fixture) {
+  const files = structuredClone(fixture.files);
+  const changes = processPRFiles(files);
+
+  const textByPath = new Map(fixture.docs.map((doc) => [doc.path, doc.text]));
+  const docSources = flagDocsChangedInPR(
+    fixture.docs.map((doc) => ({ path: doc.path })),
+    files
+  );
+  const documents = docSources.map((source) => createDocument(source, textByPath.get(source.path)));
+
+  const report = await analyzeDocuments(changes, documents);
+  groundFindings(report, documents);
+
+  return {
+    name: fixture.name,
+    degraded: Boolean(report.degraded),
+    discarded: report.grounding.discarded.length,
+    ...scoreFindings(report.findings, fixture.expected),
+  };
+}
+
+/**
+ * Pairs produced findings with expected ones. An expected finding is met by
+ * the first unpaired finding in its doc that quotes its `evidence` text
+ * (case and whitespace aside) and covers its `line`, when given. Unpaired
+ * findings are false positives; unmet expectations are misses.
+ */
+function scoreFindings(findings, expected) {
+  const normalize = (text) => String(text).replace(/\s+/g, " ").trim().toLowerCase();
+  const unpaired = new Set(findings);
+  const missed = [];
+
+  for (const expectation of expected) {
+    const match = [...unpaired].find(
+      (finding) =>
+        finding.doc_url === expectation.doc &&
+        (!expectation.evidence ||
+          finding.evidence.some((excerpt) =>
+            normalize(excerpt).includes(normalize(expectation.evidence))
+          )) &&
+        (!expectation.line ||
+          finding.evidence_lines.some(
+            ({ start, end }) => start <= expectation.line && expectation.line <= end
+          ))
+    );
+
+    if (match) {
+      unpaired.delete(match);
+    } else {
+      missed.push(expectation);
+    }
+  }
+
+  return {
+    expected: expected.length,
+    found: findings.length,
+    truePositives: expected.length - missed.length,
+    falsePositives: [...unpaired],
+    missed,
+  };
+}
+
+/**
+ * Formats a ratio as a percentage, or "n/a" when nothing was counted.
+ */
+function formatRatio(count, total) {
+  return total === 0 ? "n/a" : `${Math.round((count / total) * 100)}%`;
+}
+
+/**
+ * Counts the outcomes of one or more fixture results, with precision and
+ * recall over the combined counts.
+ */
+function describeScore(results) {
+  const sum = (count) => results.reduce((total, result) => total + count(result), 0);
+  const truePositives = sum((result) => result.truePositives);
+  const falsePositives = sum((result) => result.falsePositives.length);
+  const falseNegatives = sum((result) => result.missed.length);
+
+  return {
+    expected: sum((result) => result.expected),
+    found: sum((result) => result.found),
+    true_positives: truePositives,
+    false_positives: falsePositives,
+    false_negatives: falseNegatives,
+    precision: formatRatio(truePositives, truePositives + falsePositives),
+    recall: formatRatio(truePositives, truePositives + falseNegatives),
+  };
+}
+
+/**
+ * Describes the analysis backend the fixtures ran against.
+ */
+function describeEvalBackend() {
+  if (Config.drift.mode === "rules") return "rules";
+
+  const { model } = resolveLLMSettings();
+  return `${Config.llm.provider} ${model}, prompt version ${getPromptVersion()}`;
+}
+
+/**
+ * Renders evaluation results as Markdown: a score table, then the false
+ * positives and misses of each fixture.
+ */
+function renderEvalResults(results, backend) {
+  const row = (name, scored) => {
+    const score = describeScore(scored);
+    return `| ${name} | ${score.expected} | ${score.found} | ${score.true_positives} | ${score.false_positives} | ${score.false_negatives} | ${score.precision} | ${score.recall} |`;
+  };
+
+  const lines = [
+    `## Evaluation: ${results.length} fixture(s)`,
+    "",
+    `Backend: ${backend}`,
+    "",
+    "| Fixture | Expected | Found | TP | FP | FN | Precision | Recall |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- |",
+    ...results.map((result) =>
+      row(result.degraded ? `${result.name} (degraded)` : result.name, [result])
+    ),
+    row("**Total**", results),
+  ];
+
+  for (const result of results) {
+    if (result.falsePositives.length + result.missed.length + result.discarded === 0) continue;
+
+    lines.push("", `### ${result.name}`);
+    if (result.falsePositives.length > 0) {
+      lines.push("", "False positives:", "");
+      for (const finding of result.falsePositives) {
+        const line = finding.evidence_lines[0] ? `:${finding.evidence_lines[0].start}` : "";
+        lines.push(
+          `- \`${finding.doc_url}${line}\` (${Math.round((Number(finding.confidence) || 0) * 100)}%): ${finding.change_summary}`,
+          `  > ${finding.evidence[0].replace(/\s+/g, " ").slice(0, 200)}`
+        );
+      }
+    }
+    if (result.missed.length > 0) {
+      lines.push("", "Missed:", "");
+      for (const expectation of result.missed) {
+        const line = expectation.line ? `:${expectation.line}` : "";
+        const evidence = expectation.evidence ? ` quoting "${expectation.evidence}"` : "";
+        lines.push(`- \`${expectation.doc}${line}\`${evidence}`);
+      }
+    }
+    if (result.discarded > 0) {
+      lines.push("", `${result.discarded} finding(s) were discarded as ungrounded.`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Handles `--eval`: scores every fixture in a directory and prints the
+ * results. Returns the exit code: 0 when every fixture got exactly its
+ * expected findings, 1 otherwise.
+ */
+async function runEvaluation(dir, format) {
+  const fixtures = await loadEvalFixtures(dir);
+  const backend = describeEvalBackend();
+  const results = [];
+
+  for (const fixture of fixtures) {
+    Log.info(`Evaluating ${fixture.name}`);
+    const result = await evaluateFixture(fixture);
+    if (result.degraded) {
+      Log.warning(`${fixture.name}: model calls failed, so its scores are incomplete`);
+    }
+    results.push(result);
+  }
+
+  if (format === "json") {
+    const summary = {
+      backend,
+      fixtures: results.map((result) => ({
+        name: result.name,
+        degraded: result.degraded,
+        ...describeScore([result]),
+        discarded: result.discarded,
+        false_positive_findings: result.falsePositives,
+        missed_findings: result.missed,
+      })),
+      total: describeScore(results),
+    };
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(renderEvalResults(results, backend));
+  }
+
+  const passed = results.every(
+    (result) => !result.degraded && result.falsePositives.length + result.missed.length === 0
+  );
+  return passed ? 0 : 1;
+}
+
+export { runEvaluation };
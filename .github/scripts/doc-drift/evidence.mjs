@@ -0,0 +1,451 @@
+/**
+ * Loads documentation sources and collects the passages that mention the
+ * changes.
+ */
+
+import { readFile } from "node:fs/promises";
+import { hashContent, readCacheEntry, writeCacheEntry } from "./cache.mjs";
+import { fileChangeSearchTerms, narrowChanges } from "./changes.mjs";
+import { configChangeSearchTerms } from "./config-surface.mjs";
+import { Config, Log } from "./config.mjs";
+import {
+  buildChunkIndex,
+  chunkDocument,
+  compileRoutes,
+  formatHeadingPath,
+  parseMarkdownBlocks,
+  rankChunks,
+  selectRoutedFiles,
+} from "./documents.mjs";
+import { git, listRepoFiles } from "./git.mjs";
+import { fetchWithRetry } from "./http.mjs";
+import { dependencySearchNames } from "./manifests.mjs";
+import { getSourceRules } from "./repo-config.mjs";
+import { apiChangeSearchTerms } from "./schema-diff.mjs";
+import { CHANGE_PRIORITY } from "./tokens.mjs";
+import { estimateTokens, globToRegExp, truncate } from "./utils.mjs";
+
+/* ============================================================================
+   DOCUMENTATION FETCHING AND EVIDENCE COLLECTION
+   
+   We don't guess at documentation drift—we find concrete evidence
+   by searching for changed tokens in actual documentation.
+============================================================================ */
+
+/**
+ * Fetches a documentation source from a URL.
+ * Returns null if fetch fails (with a warning logged).
+ *
+ * With caching on, the previous copy is revalidated with its ETag or
+ * Last-Modified date and reused on 304 Not Modified, or with a warning when
+ * the fetch fails.
+ */
+async function fetchDocumentation(url) {
+  const cacheKey = hashContent(url);
+  const cached = await readCacheEntry("docs", cacheKey);
+
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  try {
+    const response = await fetchWithRetry(
+      url,
+      { redirect: "follow", headers },
+      { label: url, timeoutMs: Config.network.docTimeoutMs }
+    );
+
+    if (response.status === 304 && cached) {
+      return truncate(cached.text, Config.limits.maxDocBytes);
+    }
+
+    if (!response.ok) {
+      Log.warning(`Skipping doc (HTTP ${response.status}): ${url}`);
+      return null;
+    }
+
+    const { text } = response;
+    const etag = response.headers.get("etag");
+    const lastModified = response.headers.get("last-modified");
+    if (etag || lastModified) {
+      await writeCacheEntry("docs", cacheKey, { url, etag, lastModified, text });
+    }
+
+    return truncate(text, Config.limits.maxDocBytes);
+  } catch (error) {
+    if (cached) {
+      Log.warning(`Using cached copy of doc (fetch error): ${url} - ${error.message}`);
+      return truncate(cached.text, Config.limits.maxDocBytes);
+    }
+    Log.warning(`Skipping doc (fetch error): ${url} - ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads a documentation source from the repository.
+ * When a ref is given, reads the file as of that commit; otherwise reads the
+ * working tree. Returns null if the file cannot be read (with a warning logged).
+ */
+async function readLocalDocumentation(path, ref) {
+  try {
+    const text = ref ? await git(["show", `${ref}:${path}`]) : await readFile(path, "utf8");
+    return truncate(text, Config.limits.maxDocBytes);
+  } catch (error) {
+    Log.warning(`Skipping doc (read error): ${path} - ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads a documentation source, either from a local path or a URL.
+ */
+async function loadDocumentation(source) {
+  if (source.path) {
+    return readLocalDocumentation(source.path, source.ref);
+  }
+  return fetchDocumentation(source.url);
+}
+
+/**
+ * Finds the passages of a document that match the search terms (tagged
+ * records `{ token, change }`), ranked with the chunk index (see
+ * rankChunks). A chunk matched by several terms becomes one passage
+ * listing all of them; `match` is "exact" when one of them occurs verbatim
+ * and "related" otherwise.
+ *
+ * Passages are ordered by their terms' change priority (removed tokens
+ * first), then exact before related, then by total score, and only the
+ * top `maxPassagesPerDoc` are kept. `rank` is left on each passage for the
+ * evidence budget and removed before the evidence is sent.
+ */
+function findDocumentPassages(index, document, searchTerms) {
+  const passages = new Map();
+
+  for (const term of searchTerms) {
+    for (const { chunk, exact, score } of rankChunks(index, document, term)) {
+      const passage = passages.get(chunk) || { chunk, terms: [], exact: false, score: 0 };
+      passage.terms.push(term);
+      passage.exact ||= exact;
+      passage.score += score;
+      passages.set(chunk, passage);
+    }
+  }
+
+  const priorityOf = ({ terms }) =>
+    Math.max(...terms.map((term) => CHANGE_PRIORITY[term.change] ?? 0));
+
+  return [...passages.values()]
+    .map((passage) => ({ ...passage, priority: priorityOf(passage) }))
+    .sort(comparePassages)
+    .slice(0, Config.limits.maxPassagesPerDoc)
+    .map(({ chunk, terms, exact, score, priority }) => ({
+      tokens: terms,
+      match: exact ? "exact" : "related",
+      section: formatHeadingPath(chunk.headingPath),
+      start_line: chunk.startLine,
+      end_line: chunk.endLine,
+      text: chunk.text,
+      rank: { priority, exact, score },
+    }));
+}
+
+/**
+ * Orders passages (or their `rank`) from most to least relevant.
+ */
+function comparePassages(a, b) {
+  return b.priority - a.priority || b.exact - a.exact || b.score - a.score;
+}
+
+/**
+ * Expands `path` doc sources into one source per matching repository file.
+ * A literal path keeps its configured title; glob matches are titled by
+ * their repo-relative path.
+ *
+ * Files are listed and later read at `ref` when given (the PR head), so docs
+ * the PR itself edits are compared in their updated form. URL sources that
+ * point at this repository are mapped onto their path for the same reason.
+ * `blobBaseUrl` (e.g. https://github.com/owner/repo/blob/<sha>) enables
+ * line links in the report.
+ */
+async function expandDocSources(
+  docSources,
+  { ref = null, repoSlug = null, blobBaseUrl = null } = {}
+) {
+  const expanded = [];
+  const seenPaths = new Set();
+
+  // URL-only configurations do not need a checkout, so a listing failure is
+  // only fatal when there are path sources to resolve.
+  let repoFiles = [];
+  try {
+    repoFiles = await listRepoFiles(ref);
+  } catch (error) {
+    if (docSources.some((source) => source.path)) throw error;
+  }
+  const repoFileSet = new Set(repoFiles);
+
+  for (const source of docSources) {
+    if (!source.path) {
+      const path = repoSlug ? findRepoPathForUrl(source.url, repoSlug, repoFileSet) : null;
+      expanded.push(
+        path ? { ...source, path, ref, htmlUrl: toBlobUrl(blobBaseUrl, path) } : source
+      );
+      continue;
+    }
+
+    const { exclude = [], ...rest } = source;
+    const include = globToRegExp(source.path);
+    const excludePatterns = exclude.map(globToRegExp);
+
+    const paths = repoFiles
+      .filter(
+        (path) => include.test(path) && !excludePatterns.some((pattern) => pattern.test(path))
+      )
+      .sort();
+
+    if (paths.length === 0) {
+      Log.warning(`No documentation files matched: ${source.path}`);
+    }
+
+    for (const path of paths) {
+      if (seenPaths.has(path)) continue;
+      seenPaths.add(path);
+
+      const isLiteralPath = path === source.path;
+      expanded.push({
+        ...rest,
+        title: (isLiteralPath && source.title) || path,
+        path,
+        ref,
+        htmlUrl: toBlobUrl(blobBaseUrl, path),
+      });
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Maps a GitHub URL for a file in this repository to its repo-relative path.
+ *
+ * Handles raw.githubusercontent.com and github.com blob/raw URLs. Because
+ * branch names may contain slashes, the path is found by trying successively
+ * shorter suffixes against the repository's file list.
+ */
+function findRepoPathForUrl(url, repoSlug, repoFileSet) {
+  const pattern =
+    /^https:\/\/(?:raw\.githubusercontent\.com\/([^/]+\/[^/]+)|github\.com\/([^/]+\/[^/]+)\/(?:blob|raw))\/([^?#]+)/;
+  const match = String(url || "").match(pattern);
+  if (!match) return null;
+
+  const slug = match[1] || match[2];
+  if (slug.toLowerCase() !== repoSlug.toLowerCase()) return null;
+
+  const segments = match[3].split("/").map(decodeURIComponent);
+  for (let i = 1; i < segments.length; i++) {
+    const candidate = segments.slice(i).join("/");
+    if (repoFileSet.has(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Builds the web URL of a repository file, or null without a base URL.
+ */
+function toBlobUrl(blobBaseUrl, path) {
+  return blobBaseUrl ? `${blobBaseUrl}/${path.split("/").map(encodeURIComponent).join("/")}` : null;
+}
+
+/**
+ * Converts a raw GitHub file URL to its web (blob) URL, which supports line
+ * anchors. Returns the URL unchanged if it already is a blob URL, else null.
+ */
+function toGitHubBlobUrl(url) {
+  if (!url) return null;
+
+  const raw = url.match(/^https:\/\/raw\.githubusercontent\.com\/([^/]+\/[^/]+)\/([^?#]+)/);
+  if (raw) return `https://github.com/${raw[1]}/blob/${raw[2]}`;
+
+  return /^https:\/\/github\.com\/[^/]+\/[^/]+\/blob\//.test(url)
+    ? url.replace(/[?#].*$/, "")
+    : null;
+}
+
+/**
+ * Flags doc sources whose file the PR itself modifies, so the model knows
+ * the evidence reflects the PR's own doc edits.
+ */
+function flagDocsChangedInPR(docSources, files) {
+  const changedPaths = new Set(
+    files.filter((file) => file.status !== "removed").map((file) => file.filename)
+  );
+
+  return docSources.map((source) => ({
+    ...source,
+    changedInPR: Boolean(source.path && changedPaths.has(source.path)),
+  }));
+}
+
+/**
+ * Loads the text of every doc source. Sources that cannot be loaded are
+ * skipped (with a warning logged by the loader).
+ */
+async function loadDocuments(docSources) {
+  const documents = [];
+
+  for (const source of docSources) {
+    if (!source?.url && !source?.path) continue;
+
+    const text = await loadDocumentation(source);
+    if (!text) continue;
+
+    documents.push(createDocument(source, text));
+  }
+
+  return documents;
+}
+
+/**
+ * Builds a document from a doc source and its text, parsing the blocks and
+ * chunks that evidence collection and grounding work on.
+ */
+function createDocument(source, text) {
+  const blocks = parseMarkdownBlocks(text);
+
+  return {
+    title: source.title || source.url || source.path,
+    url: source.url || source.path,
+    path: source.path || null,
+    htmlUrl: source.htmlUrl || toGitHubBlobUrl(source.url),
+    changedInPR: Boolean(source.changedInPR),
+    rules: getSourceRules(source),
+    text,
+    hash: hashContent(text),
+    blocks,
+    chunks: chunkDocument(text, blocks),
+  };
+}
+
+/**
+ * Builds evidence of potential drift by ranking doc passages against the
+ * changed tokens. A doc matched by a route is only searched for changes to
+ * the code paths routed to it. The most relevant passages across all docs
+ * are kept within the evidence budget (`maxEvidenceTokens` by default).
+ */
+function buildDocumentationEvidence(
+  documents,
+  changes,
+  { budget = Config.limits.maxEvidenceTokens } = {}
+) {
+  const routes = compileRoutes(Config.paths.routes);
+  const allTerms = collectSearchTerms(changes);
+  const index = buildChunkIndex(documents);
+
+  const evidence = documents.map((document) => {
+    const isRouted = selectRoutedFiles(document, routes);
+    const searchTerms = isRouted
+      ? collectSearchTerms(narrowChanges(changes, changes.fileRecords.filter(isRouted)))
+      : allTerms;
+
+    return {
+      title: document.title,
+      url: document.url,
+      modified_in_pr: document.changedInPR,
+      hits: findDocumentPassages(index, document, searchTerms),
+    };
+  });
+
+  return applyEvidenceBudget(evidence, budget);
+}
+
+/**
+ * Keeps the most relevant passages across all docs whose estimated size
+ * fits the budget, and strips their ranks. Docs that lose passages record
+ * how many in `omitted_passages`.
+ */
+function applyEvidenceBudget(evidence, budget) {
+  const ranked = evidence
+    .flatMap((docEvidence) => docEvidence.hits)
+    .sort((a, b) => comparePassages(a.rank, b.rank));
+
+  const kept = new Set();
+  let remaining = budget;
+  for (const hit of ranked) {
+    const size = estimateTokens(hit);
+    if (size > remaining) continue;
+    kept.add(hit);
+    remaining -= size;
+  }
+
+  return evidence.map((docEvidence) => {
+    const hits = docEvidence.hits.filter((hit) => kept.has(hit)).map(({ rank, ...hit }) => hit);
+    const omitted = docEvidence.hits.length - hits.length;
+    return { ...docEvidence, hits, ...(omitted > 0 && { omitted_passages: omitted }) };
+  });
+}
+
+/**
+ * Turns a set of changes into tagged search terms, one per distinct term.
+ */
+function collectSearchTerms(changes) {
+  return [...traceSearchTerms(changes).values()].map(({ term }) => term);
+}
+
+/**
+ * Maps each distinct search term of a set of changes to where it came
+ * from: `{ term, source, record }`, with source "api", "config",
+ * "dependency", "file" or "token" and the change record that produced it.
+ */
+function traceSearchTerms({ tokens, dependencyChanges, configChanges, apiChanges, fileChanges }) {
+  const trace = (source, records, termsOf) =>
+    records.flatMap((record) => termsOf(record).map((term) => ({ term, source, record })));
+
+  // Dependencies are searched by name (without versions)
+  const dependencies = ["removed", "updated", "added"].flatMap((change) =>
+    dependencyChanges[change].map((dep) => ({ ...dep, change }))
+  );
+
+  // Structured change records know more about a term than the generic token
+  // pass, so they come first and win when both produce the same term
+  const searchTerms = new Map();
+  const allTerms = [
+    ...trace("api", apiChanges, (record) => apiChangeSearchTerms([record])),
+    ...trace("config", configChanges, (record) => configChangeSearchTerms([record])),
+    ...trace("dependency", dependencies, (dep) =>
+      dependencySearchNames(dep).map((token) => ({ token, change: dep.change }))
+    ),
+    ...trace("file", fileChanges, (record) => fileChangeSearchTerms([record])),
+    ...trace("token", tokens, (term) => [term]),
+  ];
+  for (const entry of allTerms) {
+    if (!searchTerms.has(entry.term.token)) searchTerms.set(entry.term.token, entry);
+  }
+
+  return searchTerms;
+}
+
+/**
+ * Resolves configured doc sources into concrete documents.
+ * Fails when nothing is left to scan.
+ */
+async function resolveDocSources(docSources, options) {
+  const resolved = await expandDocSources(docSources, options);
+
+  if (resolved.length === 0) {
+    throw new Error("No documentation sources resolved; check your doc paths and URLs");
+  }
+
+  return resolved;
+}
+
+export {
+  buildDocumentationEvidence,
+  collectSearchTerms,
+  createDocument,
+  flagDocsChangedInPR,
+  loadDocuments,
+  resolveDocSources,
+  traceSearchTerms,
+};
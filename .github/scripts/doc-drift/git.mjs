@@ -0,0 +1,217 @@
+/**
+ * Reads changes and files from the local git repository.
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { Log } from "./config.mjs";
+
+/* ============================================================================
+   LOCAL GIT INTEGRATION
+
+   Builds the same file records that the GitHub API returns, but from a local
+   git range, so drift can be checked before pushing or in non-GitHub CI.
+============================================================================ */
+
+const execFileAsync = promisify(execFile);
+
+/** Maps `git diff --name-status` letters to GitHub's file status values. */
+const GIT_STATUS_NAMES = {
+  A: "added",
+  C: "copied",
+  D: "removed",
+  M: "modified",
+  R: "renamed",
+  T: "changed",
+};
+
+/**
+ * Runs a git command in the current working directory and returns stdout.
+ */
+async function git(args) {
+  const { stdout } = await execFileAsync("git", args, { maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Parses `git diff --name-status -z` output into file entries.
+ * Renames and copies carry both the old and the new path.
+ */
+function parseNameStatus(output) {
+  const fields = output.split("\0").filter(Boolean);
+  const entries = [];
+
+  for (let i = 0; i < fields.length;) {
+    const code = fields[i++][0];
+
+    if (code === "R" || code === "C") {
+      const previousFilename = fields[i++];
+      entries.push({
+        status: GIT_STATUS_NAMES[code],
+        previous_filename: previousFilename,
+        filename: fields[i++],
+      });
+    } else {
+      entries.push({ status: GIT_STATUS_NAMES[code] || "modified", filename: fields[i++] });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Splits a full `git diff` into per-file patches in GitHub's format, which
+ * starts at the first hunk header and omits the file headers. Returns a map
+ * from each file's (new) path to its patch; binary files, pure renames and
+ * mode changes have no hunks and map to "".
+ */
+function splitUnifiedDiff(diff) {
+  const patches = new Map();
+
+  for (const section of diff.split(/^diff --git /m).slice(1)) {
+    const lines = section.split("\n");
+    const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+    const headers = firstHunk === -1 ? lines : lines.slice(0, firstHunk);
+    const patch = firstHunk === -1 ? "" : lines.slice(firstHunk).join("\n").trimEnd();
+
+    patches.set(parseDiffSectionPath(headers), patch);
+  }
+
+  return patches;
+}
+
+/**
+ * Finds the new path of a file from the header lines of its diff section:
+ * the rename or copy target, the `+++` file (or `---` for deletions), or,
+ * without either, the `a/<path> b/<path>` names on the first line, which
+ * are then the same path twice.
+ */
+function parseDiffSectionPath(headers) {
+  const header = (prefix) => {
+    const line = headers.find((candidate) => candidate.startsWith(prefix));
+    // Git ends paths containing spaces with a tab in ---/+++ lines
+    return line ? unquoteGitPath(line.slice(prefix.length).replace(/\t$/, "")) : null;
+  };
+
+  const copyTarget = header("rename to ") || header("copy to ");
+  if (copyTarget) return copyTarget;
+
+  for (const side of [header("+++ "), header("--- ")]) {
+    if (side && side !== "/dev/null") return side.slice(2);
+  }
+
+  // Binary files and mode changes only name the file on the first line
+  const names = headers[0];
+  if (names.startsWith('"')) {
+    return unquoteGitPath(names.match(/^"(?:[^"\\]|\\.)*"/)[0]).slice(2);
+  }
+  return names.slice(2, (names.length - 1) / 2);
+}
+
+/**
+ * Undoes git's quoting of unusual paths ("a\tb", "caf\303\251"), which
+ * `--name-status -z` output does not use.
+ */
+function unquoteGitPath(path) {
+  if (!path.startsWith('"')) return path;
+
+  const escapes = { a: 7, b: 8, f: 12, n: 10, r: 13, t: 9, v: 11 };
+  const bytes = [];
+  const body = path.slice(1, -1);
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== "\\") {
+      bytes.push(...Buffer.from(body[i]));
+    } else if (/[0-7]{3}/.test(body.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      i++;
+      bytes.push(escapes[body[i]] ?? body.charCodeAt(i));
+    }
+  }
+
+  return Buffer.from(bytes).toString("utf8");
+}
+
+/**
+ * Collects changed files between two git refs in the `fetchPRFiles` shape.
+ * Uses the merge base of the range, like a pull request diff does.
+ */
+async function fetchGitRangeFiles(base, head) {
+  const range = `${base}...${head}`;
+  const diffArgs = ["diff", "--no-color", "--no-ext-diff", "-M", range];
+
+  const entries = parseNameStatus(await git([...diffArgs, "--name-status", "-z"]));
+  const patches = splitUnifiedDiff(await git(diffArgs));
+
+  return entries.map((entry) => ({ ...entry, patch: patches.get(entry.filename) || "" }));
+}
+
+/**
+ * Returns a reader for file contents at the merge base or head of a range.
+ * Unreadable files yield null (with a warning logged).
+ */
+async function createGitContentReader(base, head) {
+  const refs = { base: (await git(["merge-base", base, head])).trim(), head };
+
+  return async (path, side) => {
+    try {
+      return await git(["show", `${refs[side]}:${path}`]);
+    } catch (error) {
+      Log.warning(`Could not read ${path} at ${refs[side]}: ${error.message}`);
+      return null;
+    }
+  };
+}
+
+/**
+ * Lists repository files at a commit, or in the working tree when no ref is
+ * given (tracked plus untracked-but-not-ignored files).
+ */
+async function listRepoFiles(ref) {
+  const output = ref
+    ? await git(["ls-tree", "-r", "-z", "--name-only", ref])
+    : await git(["ls-files", "-z", "--cached", "--others", "--exclude-standard"]);
+
+  return [...new Set(output.split("\0").filter(Boolean))];
+}
+
+/**
+ * Verifies that a commit is available locally for reading docs.
+ * Falls back to the working tree (null) with a warning when it is not,
+ * e.g. when the checkout did not fetch the PR head commit.
+ */
+async function resolveDocRef(ref) {
+  try {
+    await git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+    return ref;
+  } catch {
+    Log.warning(`Commit ${ref} is not available locally; reading docs from the working tree`);
+    return null;
+  }
+}
+
+/**
+ * Derives the GitHub "owner/repo" slug from the origin remote, if any.
+ */
+async function getOriginRepoSlug() {
+  try {
+    const url = (await git(["remote", "get-url", "origin"])).trim();
+    const match = url.match(/github\.com[:/]([^/]+\/[^/]+?)(?:\.git)?$/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+export {
+  createGitContentReader,
+  fetchGitRangeFiles,
+  getOriginRepoSlug,
+  git,
+  listRepoFiles,
+  parseNameStatus,
+  resolveDocRef,
+  splitUnifiedDiff,
+};
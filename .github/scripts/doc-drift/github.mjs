@@ -0,0 +1,319 @@
+/**
+ * GitHub API access: PR files, comments, check runs and the build result.
+ */
+
+import core from "@actions/core";
+import { Config, Log, PR_COMMENT_MARKER, REPORT_COMMENT_AUTHOR } from "./config.mjs";
+import { findDocumentForFinding } from "./grounding.mjs";
+import { getSourceRules } from "./repo-config.mjs";
+import { truncate } from "./utils.mjs";
+
+/* ============================================================================
+   GITHUB INTEGRATION
+============================================================================ */
+
+const CHECK_RUN_NAME = "Documentation Drift";
+
+/**
+ * Fetches all changed files from a pull request with pagination.
+ */
+async function fetchPRFiles(octokit, owner, repo, prNumber) {
+  const files = [];
+  let page = 1;
+
+  while (true) {
+    const response = await octokit.rest.pulls.listFiles({
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100,
+      page,
+    });
+
+    files.push(...response.data);
+
+    if (response.data.length < 100) break;
+    page++;
+  }
+
+  return files;
+}
+
+/**
+ * Returns a reader for file contents at the PR's base or head commit.
+ * Unreadable files yield null (with a warning logged).
+ */
+function createGitHubContentReader(octokit, owner, repo, refs) {
+  return async (path, side) => {
+    try {
+      const response = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref: refs[side],
+        mediaType: { format: "raw" },
+      });
+      return String(response.data);
+    } catch (error) {
+      Log.warning(`Could not read ${path} at ${refs[side]}: ${error.message}`);
+      return null;
+    }
+  };
+}
+
+/**
+ * Publishes the report as a completed Check Run on the PR head commit.
+ * The conclusion follows the build rules: "failure" for blocking drift,
+ * "neutral" for drift below the failure threshold or a degraded analysis,
+ * "success" otherwise.
+ * Findings in repository docs become annotations on their evidence lines,
+ * with the suggested wording as details. A token without `checks: write`
+ * (e.g. on fork PRs) only produces a warning.
+ */
+async function publishCheckRun(octokit, owner, repo, headSha, report, documents, markdown) {
+  const { shouldFail, message } = assessBuildResult(report, documents);
+  const isInconclusive = report.drift_detected || report.degraded;
+  const conclusion = shouldFail ? "failure" : isInconclusive ? "neutral" : "success";
+  const output = {
+    title: message || "No documentation drift detected",
+    summary: truncate(markdown, 65000),
+  };
+
+  // The API accepts at most 50 annotations per request
+  const annotations = buildCheckAnnotations(report, documents);
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += 50) {
+    batches.push(annotations.slice(i, i + 50));
+  }
+
+  try {
+    const { data: checkRun } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name: CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: "completed",
+      conclusion,
+      output: { ...output, annotations: batches[0] || [] },
+    });
+
+    for (const batch of batches.slice(1)) {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRun.id,
+        output: { ...output, annotations: batch },
+      });
+    }
+  } catch (error) {
+    Log.warning(`Could not publish the check run: ${error.message}`);
+  }
+}
+
+/**
+ * Builds one Check Run annotation per finding in a repository doc.
+ */
+function buildCheckAnnotations(report, documents) {
+  const annotations = [];
+
+  for (const finding of report.findings) {
+    const path = findDocumentForFinding(finding, documents)?.path;
+    if (!path) continue;
+
+    const isBlocking = isBlockingFinding(finding, documents);
+    const { start, end } = finding.evidence_lines?.[0] || { start: 1, end: 1 };
+    const suggestion = finding.suggested_revised_wording?.trim();
+
+    annotations.push({
+      path,
+      start_line: start,
+      end_line: end,
+      annotation_level: isBlocking ? "failure" : "warning",
+      title: (finding.change_summary || "Documentation drift").slice(0, 255),
+      message: `${finding.impact_statement} (confidence ${Math.round(finding.confidence * 100)}%)`,
+      ...(suggestion && { raw_details: `Suggested revised wording:\n${suggestion}` }),
+    });
+  }
+
+  return annotations;
+}
+
+/**
+ * Returns the pull request a run is about: the event's own PR, or for
+ * issue_comment events (which carry only the PR number) the PR the
+ * comment was posted on. Returns null for any other event.
+ */
+async function fetchEventPullRequest(octokit, context) {
+  if (context.payload.pull_request) {
+    return context.payload.pull_request;
+  }
+  if (!context.payload.issue?.pull_request) {
+    return null;
+  }
+
+  const { data } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: context.payload.issue.number,
+  });
+  return data;
+}
+
+/**
+ * Fetches all comments on a PR's conversation with pagination.
+ */
+async function fetchPRComments(octokit, owner, repo, prNumber) {
+  return octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: prNumber,
+    per_page: 100,
+  });
+}
+
+/**
+ * Finds the drift report comment among a PR's comments. Anyone can paste
+ * the marker into a comment, so only the bot's own comments count: the
+ * state hidden in any other comment is never read.
+ */
+function findReportComment(comments) {
+  return (
+    comments.find(
+      (c) =>
+        c.user?.type === "Bot" &&
+        c.user.login === REPORT_COMMENT_AUTHOR &&
+        (c.body || "").includes(PR_COMMENT_MARKER)
+    ) || null
+  );
+}
+
+/**
+ * Creates or updates the drift report comment on a PR. `existing` is the
+ * current report comment, if any (see findReportComment).
+ */
+async function upsertPRComment(octokit, owner, repo, prNumber, body, existing) {
+  const markedBody = `${PR_COMMENT_MARKER}\n${body}`;
+
+  if (existing) {
+    await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: markedBody,
+    });
+  } else {
+    await octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: prNumber,
+      body: markedBody,
+    });
+  }
+}
+
+/**
+ * Determines the maximum confidence score across all findings.
+ */
+function getMaxConfidence(findings) {
+  if (!Array.isArray(findings) || findings.length === 0) {
+    return 0;
+  }
+
+  return findings.reduce((max, finding) => {
+    const confidence = typeof finding.confidence === "number" ? finding.confidence : 0;
+    return Math.max(max, confidence);
+  }, 0);
+}
+
+/**
+ * Returns the build rules of the doc source a finding belongs to, or the
+ * global drift settings when its doc is unknown.
+ */
+function getFindingRules(finding, documents) {
+  return findDocumentForFinding(finding, documents)?.rules || getSourceRules({});
+}
+
+/**
+ * Tells whether a finding alone would fail the build.
+ */
+function isBlockingFinding(finding, documents) {
+  const rules = getFindingRules(finding, documents);
+  return rules.failsBuild && (Number(finding.confidence) || 0) >= rules.confidenceThreshold;
+}
+
+/**
+ * Decides whether drift detection results should fail the build.
+ * Returns the decision plus a human-readable message (null when there is no drift).
+ *
+ * Each finding is judged by the rules of its doc's source (`fails_build`
+ * and `confidence_threshold`), which default to the global drift settings.
+ * Without blocking drift, a report degraded by model outages fails the
+ * build only with `infraErrorsFailBuild`.
+ */
+function assessBuildResult(report, documents = []) {
+  const findings = Array.isArray(report.findings) ? report.findings : [];
+
+  const blocking = findings
+    .map((finding) => ({
+      confidence: Number(finding.confidence) || 0,
+      rules: getFindingRules(finding, documents),
+    }))
+    .filter(({ confidence, rules }) => rules.failsBuild && confidence >= rules.confidenceThreshold)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const maxConfidence = getMaxConfidence(findings);
+  const confidencePercent = Math.round(maxConfidence * 100);
+  const shouldFail = Boolean(report.drift_detected) && blocking.length > 0;
+
+  if (shouldFail) {
+    const blockingPercent = Math.round(blocking[0].confidence * 100);
+    const thresholdPercent = Math.round(blocking[0].rules.confidenceThreshold * 100);
+    return {
+      shouldFail,
+      message: `Documentation drift detected (max confidence ${blockingPercent}% >= ${thresholdPercent}% threshold).`,
+    };
+  }
+
+  if (report.degraded) {
+    const { failed_calls, total_calls } = report.degraded;
+    return {
+      shouldFail: Config.drift.infraErrorsFailBuild,
+      message: `Documentation drift analysis incomplete: the model was unavailable for ${failed_calls} of ${total_calls} model call(s).`,
+    };
+  }
+
+  if (report.drift_detected) {
+    return {
+      shouldFail,
+      message: `Possible documentation drift detected, but not failing build (max confidence ${confidencePercent}%).`,
+    };
+  }
+
+  return { shouldFail, message: null };
+}
+
+/**
+ * Handles the build failure logic based on drift detection results.
+ */
+function handleBuildResult(report, documents) {
+  const { shouldFail, message } = assessBuildResult(report, documents);
+
+  if (shouldFail) {
+    core.setFailed(message);
+  } else if (message) {
+    core.warning(message);
+  }
+}
+
+export {
+  assessBuildResult,
+  createGitHubContentReader,
+  fetchEventPullRequest,
+  fetchPRComments,
+  fetchPRFiles,
+  findReportComment,
+  getMaxConfidence,
+  handleBuildResult,
+  isBlockingFinding,
+  publishCheckRun,
+  upsertPRComment,
+};
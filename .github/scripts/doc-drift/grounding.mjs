@@ -0,0 +1,215 @@
+/**
+ * Matches the quotes a model cites back against the doc text.
+ */
+
+import { Config, Log } from "./config.mjs";
+import { findBlockAtLine, formatHeadingPath } from "./documents.mjs";
+
+/* ============================================================================
+   EVIDENCE GROUNDING
+
+   The prompt forbids invented quotes, but nothing enforces it. Every excerpt
+   a finding cites is matched back against the fetched doc text; findings
+   whose evidence cannot be found are discarded, paraphrased ones are
+   down-weighted, and grounded ones gain real line numbers.
+============================================================================ */
+
+/**
+ * Normalizes a word for fuzzy comparison: lowercase, typographic quotes
+ * straightened, surrounding punctuation and Markdown markup stripped.
+ */
+function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/^[^\p{L}\p{N}/@$-]+|[^\p{L}\p{N}/@$]+$/gu, "");
+}
+
+/**
+ * Splits text into normalized words with their character offsets.
+ * Very short words are dropped so filler does not inflate match scores.
+ */
+function tokenizeWords(text) {
+  const words = [];
+
+  for (const match of text.matchAll(/\S+/g)) {
+    const word = normalizeWord(match[0]);
+    if (word.length >= 3) {
+      words.push({ word, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Converts a character offset into a 1-based line number.
+ */
+function lineNumberAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Finds the doc passage that best matches an excerpt.
+ *
+ * Slides a window the size of the excerpt over the doc's words and scores
+ * each window by the share of excerpt words it contains. This tolerates
+ * reflowed whitespace, stripped Markdown and small paraphrases.
+ * Returns { score, startLine, endLine }, or a zero score when nothing matches.
+ */
+function findBestExcerptMatch(docText, docWords, excerpt) {
+  const excerptWords = tokenizeWords(String(excerpt)).map(({ word }) => word);
+  if (excerptWords.length === 0 || docWords.length === 0) {
+    return { score: 0 };
+  }
+
+  const needed = new Map();
+  for (const word of excerptWords) {
+    needed.set(word, (needed.get(word) || 0) + 1);
+  }
+
+  const windowSize = Math.min(excerptWords.length, docWords.length);
+  const inWindow = new Map();
+  let overlap = 0;
+  let best = { overlap: -1, start: 0 };
+
+  for (let i = 0; i < docWords.length; i++) {
+    const added = docWords[i].word;
+    if ((inWindow.get(added) || 0) < (needed.get(added) || 0)) overlap++;
+    inWindow.set(added, (inWindow.get(added) || 0) + 1);
+
+    if (i >= windowSize) {
+      const removed = docWords[i - windowSize].word;
+      inWindow.set(removed, inWindow.get(removed) - 1);
+      if (inWindow.get(removed) < (needed.get(removed) || 0)) overlap--;
+    }
+
+    if (i >= windowSize - 1 && overlap > best.overlap) {
+      best = { overlap, start: i - windowSize + 1 };
+    }
+  }
+
+  const first = docWords[best.start];
+  const last = docWords[best.start + windowSize - 1];
+
+  return {
+    score: best.overlap / excerptWords.length,
+    startLine: lineNumberAt(docText, first.start),
+    endLine: lineNumberAt(docText, last.end),
+  };
+}
+
+/**
+ * Finds the loaded document a finding refers to, by URL or by title.
+ */
+function findDocumentForFinding(finding, documents) {
+  return (
+    documents.find((doc) => doc.url === finding.doc_url) ||
+    documents.find((doc) => doc.title === finding.doc_title) ||
+    null
+  );
+}
+
+/**
+ * Checks one finding against its document. Returns the reason it must be
+ * discarded, or null after pruning ungrounded excerpts, attaching line
+ * numbers and down-weighting paraphrased evidence.
+ */
+function groundFinding(finding, documents, wordsByUrl) {
+  const doc = findDocumentForFinding(finding, documents);
+  if (!doc) {
+    return "doc_url does not match a configured doc source";
+  }
+
+  if (!Array.isArray(finding.evidence) || finding.evidence.length === 0) {
+    return "no evidence quoted";
+  }
+
+  if (!wordsByUrl.has(doc.url)) {
+    wordsByUrl.set(doc.url, tokenizeWords(doc.text));
+  }
+  const docWords = wordsByUrl.get(doc.url);
+
+  const grounded = finding.evidence
+    .map((excerpt) => ({ excerpt, match: findBestExcerptMatch(doc.text, docWords, excerpt) }))
+    .filter(({ match }) => match.score >= Config.grounding.minExcerptScore);
+
+  if (grounded.length === 0) {
+    return "evidence not found in the document";
+  }
+
+  const weakestScore = Math.min(...grounded.map(({ match }) => match.score));
+
+  const firstBlock = findBlockAtLine(doc.blocks, grounded[0].match.startLine);
+
+  finding.doc_title = doc.title;
+  finding.doc_url = doc.url;
+  finding.doc_html_url = doc.htmlUrl;
+  finding.doc_section = firstBlock ? formatHeadingPath(firstBlock.headingPath) : null;
+  if (doc.rules.owners.length > 0) {
+    finding.doc_owners = doc.rules.owners;
+  }
+  finding.evidence = grounded.map(({ excerpt }) => excerpt);
+  finding.evidence_lines = grounded.map(({ match }) => ({
+    start: match.startLine,
+    end: match.endLine,
+  }));
+
+  if (weakestScore < Config.grounding.verbatimScore) {
+    finding.confidence = (Number(finding.confidence) || 0) * weakestScore;
+    finding.grounding_note = `paraphrased evidence, ${Math.round(weakestScore * 100)}% match`;
+  }
+
+  return null;
+}
+
+/**
+ * Verifies every open finding against the loaded documents and records
+ * what was discarded (and why) in `report.grounding`.
+ */
+function groundFindings(report, documents) {
+  const wordsByUrl = new Map();
+  const findings = Array.isArray(report.findings) ? report.findings : [];
+  const kept = [];
+  const discarded = [];
+
+  for (const finding of findings) {
+    const reason = groundFinding(finding, documents, wordsByUrl);
+
+    if (reason) {
+      discarded.push({
+        doc_title: finding.doc_title,
+        change_summary: finding.change_summary,
+        reason,
+      });
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  report.findings = kept;
+  report.grounding = {
+    checked: findings.length,
+    discarded,
+    downweighted: kept.filter((finding) => finding.grounding_note).length,
+  };
+
+  if (discarded.length > 0 && kept.length === 0) {
+    report.drift_detected = false;
+  }
+
+  if (discarded.length > 0) {
+    Log.warning(
+      `Discarded ${discarded.length} finding(s) whose evidence could not be found in the docs`
+    );
+  }
+
+  return report;
+}
+
+export { findDocumentForFinding, groundFindings, tokenizeWords };
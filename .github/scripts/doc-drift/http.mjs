@@ -0,0 +1,95 @@
+/**
+ * HTTP requests with timeouts and retries.
+ */
+
+import fetch from "node-fetch";
+import { Config, Log } from "./config.mjs";
+
+/* ============================================================================
+   HTTP
+
+   Doc fetches and model calls share one request helper with a timeout per
+   attempt. Transient failures (timeouts, network errors, 408, 429 and 5xx)
+   are retried with exponential backoff, honouring Retry-After; anything
+   else is returned or thrown at once. Errors carry a `transient` flag so
+   callers can tell an unavailable service from a broken request.
+============================================================================ */
+
+/** HTTP statuses that signal a temporary condition worth retrying. */
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Creates a request error. `transient` is true when the service was
+ * unavailable rather than the request being wrong.
+ */
+function httpError(message, { status = null, transient = false } = {}) {
+  return Object.assign(new Error(message), { status, transient });
+}
+
+/**
+ * Fetches a URL, retrying transient failures up to `Config.network.maxRetries`
+ * times. Returns the last response as `{ status, ok, headers, text }`, so a
+ * non-2xx status is left to the caller; throws a transient error when no
+ * complete response arrives at all. The body is read within the attempt,
+ * so a body that stalls or breaks off is retried like a failed request.
+ */
+async function fetchWithRetry(url, options, { label, timeoutMs }) {
+  const { maxRetries } = Config.network;
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let reason;
+
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+      if (!TRANSIENT_STATUSES.has(response.status) || attempt >= maxRetries) {
+        const { status, ok, headers } = response;
+        return { status, ok, headers, text: await response.text() };
+      }
+      reason = `HTTP ${response.status}`;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+    } catch (error) {
+      const isTimeout = error.name === "TimeoutError" || error.name === "AbortError";
+      reason = isTimeout ? `timed out after ${timeoutMs}ms` : error.message;
+      if (attempt >= maxRetries) {
+        throw httpError(`Request to ${label} failed after ${attempt + 1} attempt(s): ${reason}`, {
+          transient: true,
+        });
+      }
+    }
+
+    const delay = getRetryDelay(attempt, response?.headers.get("retry-after"));
+    Log.warning(
+      `Request to ${label} failed (${reason}), retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${maxRetries})`
+    );
+    await sleep(delay);
+  }
+}
+
+/**
+ * Returns how long to wait before the next attempt: the server's
+ * Retry-After (seconds or an HTTP date) when given, otherwise exponential
+ * backoff with jitter. Both are capped at `maxRetryDelayMs`.
+ */
+function getRetryDelay(attempt, retryAfter) {
+  const { retryBaseDelayMs, maxRetryDelayMs } = Config.network;
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const requested = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(retryAfter) - Date.now();
+    if (requested >= 0) return Math.min(requested, maxRetryDelayMs);
+  }
+
+  const backoff = retryBaseDelayMs * 2 ** attempt;
+  return Math.min(backoff / 2 + (Math.random() * backoff) / 2, maxRetryDelayMs);
+}
+
+/** Resolves after the given number of milliseconds. */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export { TRANSIENT_STATUSES, fetchWithRetry, getRetryDelay, httpError };
@@ -0,0 +1,222 @@
+/**
+ * Tracks findings across runs through the state kept in the report comment,
+ * including `/doc-drift dismiss` commands.
+ */
+
+import { hashContent } from "./cache.mjs";
+import { Log } from "./config.mjs";
+import { collectSearchTerms } from "./evidence.mjs";
+import { tokenizeWords } from "./grounding.mjs";
+
+/* ============================================================================
+   FINDING LIFECYCLE
+
+   Each run replaces the report comment, so without memory a finding a
+   reviewer already judged a false positive comes back on every push, and a
+   fixed one vanishes without a trace. Findings get a stable fingerprint
+   (doc, section and the changed terms the evidence mentions), and the
+   report comment carries hidden state: every finding seen so far with its
+   status, and the dismissals reviewers made with `/doc-drift dismiss`.
+============================================================================ */
+
+/** Hidden report state, base64-encoded JSON inside an HTML comment. */
+const REPORT_STATE_PATTERN = /<!-- doc-drift-state:([A-Za-z0-9+/=]+) -->/;
+
+/**
+ * `/doc-drift dismiss <number or ID> <reason>`, on a line of its own in a
+ * PR comment.
+ */
+const DISMISS_COMMAND_PATTERN = /^\/doc-drift\s+dismiss\s+#?([0-9a-f]+)(?:[ \t]+(.+))?$/gim;
+
+/** Comment authors allowed to dismiss findings (GitHub author associations). */
+const COMMAND_AUTHOR_ASSOCIATIONS = ["OWNER", "MEMBER", "COLLABORATOR"];
+
+/**
+ * Sets `fingerprint` on every finding. The change part is the set of
+ * changed terms the evidence mentions, which does not depend on the
+ * model's wording; findings whose evidence mentions none fall back to the
+ * words of their change summary.
+ */
+function fingerprintFindings(report, changes) {
+  const searchTerms = collectSearchTerms(changes).map(({ token }) => token.toLowerCase());
+
+  for (const finding of [...report.findings, ...report.resolved_findings]) {
+    const evidence = (finding.evidence || []).join("\n").toLowerCase();
+    const changedTerms = searchTerms.filter((term) => evidence.includes(term)).sort();
+    const change =
+      changedTerms.length > 0
+        ? changedTerms
+        : tokenizeWords(finding.change_summary || "").map(({ word }) => word);
+
+    finding.fingerprint = hashContent({
+      doc: finding.doc_url,
+      section: finding.doc_section || "",
+      change,
+    }).slice(0, 12);
+  }
+}
+
+/**
+ * Reads the state stored in a report comment. Returns an empty state when
+ * there is no comment or no readable state in it.
+ */
+function parseReportState(commentBody) {
+  const emptyState = { version: 1, findings: [], dismissed: {}, last_comment_id: 0 };
+  const match = String(commentBody || "").match(REPORT_STATE_PATTERN);
+  if (!match) return emptyState;
+
+  try {
+    const state = JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+    if (state?.version !== 1) return emptyState;
+
+    // Older reports listed every handled command instead of the last ID
+    const { handled_commands: handledCommands = [], ...rest } = state;
+    const lastCommandId = handledCommands.length > 0 ? Math.max(...handledCommands) : 0;
+    return { ...emptyState, last_comment_id: lastCommandId, ...rest };
+  } catch (error) {
+    Log.warning(`Ignoring unreadable report state: ${error.message}`);
+    return emptyState;
+  }
+}
+
+/**
+ * Renders the state as a hidden HTML comment for the report comment.
+ */
+function renderReportState(state) {
+  const encoded = Buffer.from(JSON.stringify(state), "utf8").toString("base64");
+  return `\n<!-- doc-drift-state:${encoded} -->\n`;
+}
+
+/**
+ * Records the dismissals in PR comments that were not handled yet. A
+ * finding is named by its number in the current report or by (a prefix
+ * of at least six characters of) its ID. Only comments by repository
+ * owners, members and collaborators count.
+ *
+ * GitHub comment IDs only grow, so the state keeps the highest ID seen as
+ * `last_comment_id` and older comments are skipped.
+ */
+function applyDismissCommands(state, comments) {
+  for (const comment of comments) {
+    if (comment.id <= state.last_comment_id) continue;
+
+    const commands = [...String(comment.body || "").matchAll(DISMISS_COMMAND_PATTERN)];
+    if (commands.length === 0) continue;
+
+    const author = comment.user?.login || "unknown";
+    if (!COMMAND_AUTHOR_ASSOCIATIONS.includes(comment.author_association)) {
+      Log.warning(`Ignoring /doc-drift command from @${author}: not a collaborator`);
+      continue;
+    }
+
+    for (const [, target, reason] of commands) {
+      const finding = findStateFinding(state, target);
+      if (!finding) {
+        Log.warning(`Ignoring /doc-drift dismiss ${target} from @${author}: no such finding`);
+        continue;
+      }
+
+      state.dismissed[finding.fingerprint] = {
+        reason: reason?.trim() || null,
+        by: author,
+        at: comment.created_at || null,
+        doc_title: finding.doc_title,
+        change_summary: finding.change_summary,
+      };
+      Log.info(`Finding ${finding.fingerprint} dismissed by @${author}`);
+    }
+  }
+
+  state.last_comment_id = Math.max(state.last_comment_id, ...comments.map((comment) => comment.id));
+}
+
+/**
+ * Finds a finding in the state by report number (only open findings are
+ * numbered) or by ID prefix.
+ */
+function findStateFinding(state, target) {
+  if (/^\d{1,5}$/.test(target)) {
+    return state.findings.find((finding) => finding.number === Number(target)) || null;
+  }
+
+  const matches = state.findings.filter((finding) => finding.fingerprint.startsWith(target));
+  return target.length >= 6 && matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Compares this run's findings with the previous state and sets each
+ * finding's `status`: "new", "open" (reported before) or, once moved to
+ * `report.dismissed_findings`, "dismissed". Findings reported before but
+ * not anymore join `report.resolved_findings` as "resolved". Like resolved
+ * findings, dismissed ones never count toward a build failure. After a
+ * degraded analysis they are kept in the state unchanged instead, since
+ * the failed model calls may have missed them.
+ *
+ * Returns the state to store with this report.
+ */
+function trackFindings(report, state) {
+  const known = new Map(state.findings.map((finding) => [finding.fingerprint, finding]));
+  const reported = new Set(
+    [...report.findings, ...report.resolved_findings, ...(report.suppressed_findings || [])].map(
+      (finding) => finding.fingerprint
+    )
+  );
+
+  const open = [];
+  report.dismissed_findings = [];
+  for (const finding of report.findings) {
+    const dismissal = state.dismissed[finding.fingerprint];
+    if (dismissal) {
+      report.dismissed_findings.push({ ...finding, status: "dismissed", dismissal });
+    } else {
+      finding.status = known.has(finding.fingerprint) ? "open" : "new";
+      open.push(finding);
+    }
+  }
+
+  for (const finding of report.resolved_findings) {
+    finding.status = "resolved";
+  }
+  const noLongerReported = state.findings.filter(
+    (finding) => !reported.has(finding.fingerprint) && !state.dismissed[finding.fingerprint]
+  );
+  const unconfirmed = report.degraded ? noLongerReported : [];
+  if (!report.degraded) {
+    report.resolved_findings.push(
+      ...noLongerReported.map((finding) => ({ ...finding, status: "resolved" }))
+    );
+  }
+
+  report.findings = open;
+  if (open.length === 0 && report.dismissed_findings.length > 0) {
+    report.drift_detected = false;
+  }
+
+  const toStateFinding = (finding, number = null) => ({
+    fingerprint: finding.fingerprint,
+    number,
+    status: finding.status,
+    doc_title: finding.doc_title,
+    doc_url: finding.doc_url,
+    doc_section: finding.doc_section || null,
+    change_summary: finding.change_summary,
+  });
+
+  return {
+    ...state,
+    findings: [
+      ...report.findings.map((finding, index) => toStateFinding(finding, index + 1)),
+      ...report.dismissed_findings.map((finding) => toStateFinding(finding)),
+      ...report.resolved_findings.map((finding) => toStateFinding(finding)),
+      ...unconfirmed.map((finding) => ({ ...finding, number: null })),
+    ],
+  };
+}
+
+export {
+  applyDismissCommands,
+  fingerprintFindings,
+  parseReportState,
+  renderReportState,
+  trackFindings,
+};
@@ -0,0 +1,620 @@
+/**
+ * Compares dependency manifests (npm, Composer, Python, Cargo, Go, Ruby,
+ * .NET, Maven, Gradle) section by section.
+ */
+
+import { Config } from "./config.mjs";
+import { basename } from "./utils.mjs";
+
+/* ============================================================================
+   DEPENDENCY CHANGE DETECTION
+   
+   Dependency changes are a major source of documentation drift.
+   If you remove a library, any documentation referencing it is now stale.
+
+   Manifests are parsed as a whole (base and head versions of the file) so
+   each dependency is known together with its section: a dev dependency is
+   reported as one, and "name"/"version"/"scripts" entries are never
+   mistaken for dependencies. When the full file is unavailable, the patch
+   (context plus changed lines) is parsed instead, on a best-effort basis.
+============================================================================ */
+
+/**
+ * Extracts added, removed, and updated dependencies from a changed file.
+ *
+ * Each record carries `ecosystem` and `scope` (runtime, dev, test, peer,
+ * optional, build, provided, indirect, or unscoped for patch lines whose
+ * section is not known). Added and removed records have a
+ * `version`; updated records have `from` and `to`.
+ *
+ * Supports:
+ * - package.json (npm), composer.json (Composer)
+ * - requirements*.txt, Pipfile, pyproject.toml (Python)
+ * - pom.xml (Maven), build.gradle, build.gradle.kts (Gradle)
+ * - go.mod (Go), Cargo.toml (Rust), Gemfile (Ruby), *.csproj (NuGet)
+ */
+function extractDependencyChanges(file) {
+  const manifest = selectDependencyParser(file.filename);
+  if (!manifest) {
+    return { added: [], removed: [], updated: [] };
+  }
+
+  // Without full contents each hunk is parsed on its own, so a section
+  // header seen in one hunk never scopes the lines of another
+  const partial = file.base_content == null || file.head_content == null;
+  const versions = partial ? getPatchHunks(file) : [getManifestVersions(file)];
+  const parse = (side) =>
+    versions.flatMap((version) =>
+      manifest
+        .parse(version[side], file.filename, partial)
+        .map((dep) => ({ ...dep, ecosystem: manifest.ecosystem }))
+    );
+
+  return diffDependencies(parse("before"), parse("after"));
+}
+
+/**
+ * Manifest formats by file name.
+ * Returns null if the file is not a recognized dependency manifest.
+ */
+const DEPENDENCY_MANIFESTS = [
+  { pattern: /(^|\/)package\.json$/, ecosystem: "npm", parse: parseNpmManifest },
+  { pattern: /(^|\/)composer\.json$/, ecosystem: "composer", parse: parseComposerManifest },
+  { pattern: /(^|\/)requirements[\w.-]*\.txt$/, ecosystem: "pypi", parse: parseRequirementsTxt },
+  { pattern: /(^|\/)Pipfile$/, ecosystem: "pypi", parse: parsePipfile },
+  { pattern: /(^|\/)pyproject\.toml$/, ecosystem: "pypi", parse: parsePyproject },
+  { pattern: /(^|\/)pom\.xml$/, ecosystem: "maven", parse: parseMavenPom },
+  { pattern: /(^|\/)build\.gradle(\.kts)?$/, ecosystem: "gradle", parse: parseGradleBuild },
+  { pattern: /(^|\/)go\.mod$/, ecosystem: "go", parse: parseGoMod },
+  { pattern: /(^|\/)Cargo\.toml$/, ecosystem: "cargo", parse: parseCargoManifest },
+  { pattern: /(^|\/)Gemfile$/, ecosystem: "rubygems", parse: parseGemfile },
+  { pattern: /\.csproj$/, ecosystem: "nuget", parse: parseCsproj },
+];
+
+/**
+ * Selects the manifest format for a file, or null if it is not a manifest.
+ */
+function selectDependencyParser(filename) {
+  return DEPENDENCY_MANIFESTS.find((manifest) => manifest.pattern.test(filename)) || null;
+}
+
+/**
+ * Returns the base and head text of a manifest. Uses full file contents
+ * when they were attached to the file record, otherwise rebuilds both
+ * sides from the patch (context lines plus removed or added lines).
+ */
+function getManifestVersions(file) {
+  if (file.base_content != null && file.head_content != null) {
+    return { before: file.base_content, after: file.head_content };
+  }
+
+  const hunks = getPatchHunks(file);
+  return {
+    before: hunks.map((hunk) => hunk.before).join("\n"),
+    after: hunks.map((hunk) => hunk.after).join("\n"),
+  };
+}
+
+/**
+ * Rebuilds the base and head text of each hunk in a file's patch
+ * (context lines plus removed or added lines).
+ */
+function getPatchHunks(file) {
+  const hunks = [];
+  let hunk = null;
+
+  for (const line of (file.patch || "").split("\n")) {
+    if (line.startsWith("@@")) {
+      hunk = { before: [], after: [] };
+      hunks.push(hunk);
+      continue;
+    }
+    if (!hunk || line.startsWith("\\")) continue;
+
+    const sign = line[0];
+    const content = line.slice(1);
+    if (sign !== "+") hunk.before.push(content);
+    if (sign !== "-") hunk.after.push(content);
+  }
+
+  return hunks.map(({ before, after }) => ({ before: before.join("\n"), after: after.join("\n") }));
+}
+
+/**
+ * Compares two dependency lists (same ecosystem) keyed by scope and name.
+ */
+function diffDependencies(beforeDeps, afterDeps) {
+  const key = (dep) => `${dep.scope}\u0000${dep.name}`;
+  const beforeByKey = new Map(beforeDeps.map((dep) => [key(dep), dep]));
+  const afterByKey = new Map(afterDeps.map((dep) => [key(dep), dep]));
+
+  const added = [];
+  const removed = [];
+  const updated = [];
+
+  for (const [depKey, dep] of beforeByKey) {
+    const next = afterByKey.get(depKey);
+    if (!next) {
+      removed.push(dep);
+    } else if (next.version !== dep.version) {
+      const { version, ...rest } = dep;
+      updated.push({ ...rest, from: version, to: next.version });
+    }
+  }
+
+  for (const [depKey, dep] of afterByKey) {
+    if (!beforeByKey.has(depKey)) added.push(dep);
+  }
+
+  return {
+    added: added.slice(0, Config.limits.maxDependencies),
+    removed: removed.slice(0, Config.limits.maxDependencies),
+    updated: updated.slice(0, Config.limits.maxDependencies),
+  };
+}
+
+/**
+ * Parses a JSON manifest's dependency sections. Whole files are parsed as
+ * JSON; partial text from a patch falls back to tracking which
+ * `"section": {` block each line sits in.
+ *
+ * When `partial` is set the text is a single hunk, whose opening lines may
+ * sit in a section whose header is outside it. Those entries are kept with
+ * scope "unscoped" if their value reads as a version range, unless the
+ * hunk's first header or closing brace shows them to be top-level keys
+ * (indented no deeper than it).
+ */
+function parseJsonManifest(text, sectionScopes, partial = false) {
+  try {
+    const json = JSON.parse(text);
+    return Object.entries(sectionScopes).flatMap(([section, scope]) => {
+      const entries = json?.[section];
+      if (!entries || typeof entries !== "object") return [];
+      return Object.entries(entries).map(([name, version]) => ({
+        name,
+        version: String(version),
+        scope,
+      }));
+    });
+  } catch {
+    // Not a complete JSON document; scan it line by line below
+  }
+
+  const deps = [];
+  let scope = null;
+  // Entries read before the hunk's first section boundary, with their indent
+  let leading = partial ? [] : null;
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const closeLeading = (boundaryIndent) => {
+    const nested = leading.filter((dep) => dep.indent > boundaryIndent);
+    deps.push(...nested.map(({ indent, ...dep }) => dep));
+    leading = null;
+  };
+
+  for (const line of text.split("\n")) {
+    const sectionStart = line.match(/^\s*"([^"]+)"\s*:\s*\{\s*$/);
+    if (sectionStart) {
+      if (leading) closeLeading(indentOf(line));
+      scope = sectionScopes[sectionStart[1]] || null;
+      continue;
+    }
+
+    if (/^\s*\}/.test(line)) {
+      if (leading) closeLeading(indentOf(line));
+      scope = null;
+      continue;
+    }
+
+    const entry = (scope || leading) && line.match(/^\s*"([^"]+)"\s*:\s*"([^"]*)"/);
+    if (!entry) continue;
+
+    if (scope) {
+      deps.push({ name: entry[1], version: entry[2], scope });
+    } else if (isVersionRange(entry[2])) {
+      leading.push({
+        name: entry[1],
+        version: entry[2],
+        scope: "unscoped",
+        indent: indentOf(line),
+      });
+    }
+  }
+
+  if (leading) closeLeading(-1);
+
+  return deps;
+}
+
+/**
+ * Whether a manifest value reads as a version range or package source
+ * ("^1.2.0", ">=5.3 <6", "^7.4|^8.0", "*", "workspace:*", "git+https://...")
+ * rather than a script or free text.
+ */
+function isVersionRange(value) {
+  const range = /^[\^~<>=]*\s*v?\d[\w.*+-]*$/;
+  const sources =
+    /^(?:\*|x|latest|next|dev-[\w./-]+|(?:workspace|npm|file|link|github|git\+?\w*|https?):\S+)$/;
+
+  return (
+    sources.test(value) ||
+    value
+      .replace(/([\^~<>=]+)\s+/g, "$1")
+      .split(/\s*\|\|?\s*|\s+-\s+|\s+|,\s*/)
+      .every((part) => range.test(part))
+  );
+}
+
+/** package.json: dependencies, devDependencies, peerDependencies, optionalDependencies */
+function parseNpmManifest(text, filename, partial) {
+  return parseJsonManifest(
+    text,
+    {
+      dependencies: "runtime",
+      devDependencies: "dev",
+      peerDependencies: "peer",
+      optionalDependencies: "optional",
+    },
+    partial
+  );
+}
+
+/** composer.json: require, require-dev */
+function parseComposerManifest(text, filename, partial) {
+  return parseJsonManifest(text, { require: "runtime", "require-dev": "dev" }, partial);
+}
+
+/**
+ * Parses a PEP 508 requirement: requests==2.28.0, django>=4.0,<5, rich[jupyter]
+ * Returns { name, version } or null for options, URLs and comments.
+ */
+function parsePythonRequirement(content) {
+  const pattern = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([<>=!~][^;#]*)?/;
+  const trimmed = content.trim();
+  if (!trimmed || /^[#-]/.test(trimmed) || trimmed.includes("://")) return null;
+
+  const match = trimmed.match(pattern);
+  return match ? { name: match[1], version: (match[2] || "").replace(/\s+/g, "") } : null;
+}
+
+/** requirements*.txt: one requirement per line; dev/test files are dev scope */
+function parseRequirementsTxt(text, filename) {
+  const scope = /(dev|test)/i.test(basename(filename)) ? "dev" : "runtime";
+
+  return text
+    .split("\n")
+    .map((line) => parsePythonRequirement(line))
+    .filter(Boolean)
+    .map((dep) => ({ ...dep, scope }));
+}
+
+/**
+ * Scans TOML line by line, reporting each key/value with its section.
+ * Arrays (including multi-line ones) are reported with their quoted items.
+ * This is a deliberately small subset: enough for dependency tables.
+ */
+function scanTomlEntries(text) {
+  const entries = [];
+  let section = "";
+  let openArray = null;
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.replace(/\s+#.*$/, "").trim();
+
+    if (openArray) {
+      openArray.items.push(...quotedItems(line));
+      if (line.includes("]")) openArray = null;
+      continue;
+    }
+
+    const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      section = header[1].replace(/["'\s]/g, "");
+      continue;
+    }
+
+    const keyValue = line.match(/^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/);
+    if (!keyValue) continue;
+
+    const key = keyValue[1].replace(/["']/g, "");
+    const value = keyValue[2];
+
+    if (value.startsWith("[")) {
+      const entry = { section, key, value, items: [] };
+      entries.push(entry);
+      entry.items.push(...quotedItems(value));
+      if (!value.includes("]")) openArray = entry;
+    } else {
+      entries.push({ section, key, value, items: null });
+    }
+  }
+
+  return entries;
+}
+
+/** Returns the quoted strings in a line of a TOML array. */
+function quotedItems(line) {
+  return [...line.matchAll(/"([^"]*)"|'([^']*)'/g)].map((match) => match[1] ?? match[2]);
+}
+
+/**
+ * Reads the version from a TOML dependency value:
+ * "1.0", { version = "1.0", features = [...] } or { git = "..." }.
+ */
+function tomlDependencyVersion(value) {
+  const plain = value.match(/^["']([^"']*)["']/);
+  if (plain) return plain[1];
+
+  const inline = value.match(/\bversion\s*=\s*["']([^"']*)["']/);
+  return inline ? inline[1] : "";
+}
+
+/** Pipfile: [packages], [dev-packages] */
+function parsePipfile(text) {
+  const scopes = { packages: "runtime", "dev-packages": "dev" };
+
+  return scanTomlEntries(text)
+    .filter((entry) => scopes[entry.section])
+    .map((entry) => ({
+      name: entry.key,
+      version: tomlDependencyVersion(entry.value).replace(/^\*$/, ""),
+      scope: scopes[entry.section],
+    }));
+}
+
+/**
+ * pyproject.toml: PEP 621 [project] dependencies and optional-dependencies,
+ * PEP 735 [dependency-groups], and Poetry dependency tables.
+ */
+function parsePyproject(text) {
+  const deps = [];
+  const groupScope = (group) => (/^(dev|test|lint|docs)/i.test(group) ? "dev" : "optional");
+
+  for (const entry of scanTomlEntries(text)) {
+    const { section, key, value, items } = entry;
+
+    if (items && section === "project" && key === "dependencies") {
+      deps.push(...requirementsFromItems(items, "runtime"));
+    } else if (items && section === "project.optional-dependencies") {
+      deps.push(...requirementsFromItems(items, groupScope(key)));
+    } else if (items && section === "dependency-groups") {
+      deps.push(...requirementsFromItems(items, groupScope(key)));
+    } else if (!items && key !== "python") {
+      const poetryScope =
+        section === "tool.poetry.dependencies"
+          ? "runtime"
+          : section === "tool.poetry.dev-dependencies" ||
+              /^tool\.poetry\.group\.[^.]+\.dependencies$/.test(section)
+            ? "dev"
+            : null;
+
+      if (poetryScope) {
+        deps.push({ name: key, version: tomlDependencyVersion(value), scope: poetryScope });
+      }
+    }
+  }
+
+  return deps;
+}
+
+/** Parses a list of PEP 508 requirement strings into dependency records. */
+function requirementsFromItems(items, scope) {
+  return items
+    .map((item) => parsePythonRequirement(item))
+    .filter(Boolean)
+    .map((dep) => ({ ...dep, scope }));
+}
+
+/**
+ * Cargo.toml: [dependencies], [dev-dependencies], [build-dependencies],
+ * their target-specific variants, [workspace.dependencies], and
+ * [dependencies.name] tables.
+ */
+function parseCargoManifest(text) {
+  const scopeForSection = (section) => {
+    const table = section.replace(/^target\.[^.]+(?:\([^)]*\))?\./, "").replace(/^workspace\./, "");
+    const scopes = {
+      dependencies: "runtime",
+      "dev-dependencies": "dev",
+      "build-dependencies": "build",
+    };
+    return scopes[table];
+  };
+
+  const deps = new Map();
+
+  for (const { section, key, value } of scanTomlEntries(text)) {
+    const scope = scopeForSection(section);
+    if (scope) {
+      deps.set(`${scope}:${key}`, { name: key, version: tomlDependencyVersion(value), scope });
+      continue;
+    }
+
+    // [dependencies.serde] version = "1.0"
+    const table = section.match(/^(.*(?:dependencies))\.([\w-]+)$/);
+    const tableScope = table && scopeForSection(table[1]);
+    if (tableScope) {
+      const depKey = `${tableScope}:${table[2]}`;
+      const dep = deps.get(depKey) || { name: table[2], version: "", scope: tableScope };
+      if (key === "version") dep.version = tomlDependencyVersion(value);
+      deps.set(depKey, dep);
+    }
+  }
+
+  return [...deps.values()];
+}
+
+/** go.mod: require directives (single-line and blocks); `// indirect` marks scope */
+function parseGoMod(text) {
+  const deps = [];
+  let inRequireBlock = false;
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+
+    if (/^require\s*\($/.test(line)) {
+      inRequireBlock = true;
+      continue;
+    }
+    if (inRequireBlock && line === ")") {
+      inRequireBlock = false;
+      continue;
+    }
+
+    const spec = inRequireBlock ? line : line.match(/^require\s+(.*)$/)?.[1];
+    const match = spec?.match(/^(\S+)\s+(v\S+)(.*)$/);
+    if (match) {
+      const scope = /\/\/\s*indirect/.test(match[3]) ? "indirect" : "runtime";
+      deps.push({ name: match[1], version: match[2], scope });
+    }
+  }
+
+  return deps;
+}
+
+/** Gemfile: gem "name", "~> 1.0" with `group :development, :test do` blocks */
+function parseGemfile(text) {
+  const deps = [];
+  const blockStack = [];
+  const scopeForGroups = (groups) => {
+    if (groups.length === 0) return "runtime";
+    return groups.some((group) => /^(development|test)$/.test(group)) ? "dev" : "optional";
+  };
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+
+    const groupBlock = line.match(/^group\s+(.+?)\s+do\b/);
+    if (groupBlock) {
+      blockStack.push(
+        [...groupBlock[1].matchAll(/:(\w+)|["'](\w+)["']/g)].map((m) => m[1] || m[2])
+      );
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+      blockStack.push([]);
+      continue;
+    }
+    if (line === "end") {
+      blockStack.pop();
+      continue;
+    }
+
+    const gem = line.match(/^gem\s+["']([^"']+)["']((?:\s*,\s*["'][^"']*["'])*)(.*)$/);
+    if (!gem) continue;
+
+    const version = [...gem[2].matchAll(/["']([^"']*)["']/g)].map((m) => m[1]).join(", ");
+    const inlineGroupList = gem[3].match(/groups?:\s*(\[[^\]]*\]|:\w+)/)?.[1] || "";
+    const inlineGroups = [...inlineGroupList.matchAll(/:(\w+)/g)].map((m) => m[1]);
+    const groups = [...blockStack.flat(), ...inlineGroups];
+
+    deps.push({ name: gem[1], version, scope: scopeForGroups(groups) });
+  }
+
+  return deps;
+}
+
+/**
+ * *.csproj: <PackageReference Include="X" Version="1.0" /> (or a nested
+ * <Version> element). PrivateAssets="all" marks build-time tooling.
+ */
+function parseCsproj(text) {
+  const pattern = /<PackageReference\b([^>]*?)(?:\/>|>([\s\S]*?)<\/PackageReference>)/g;
+  const attribute = (source, name) =>
+    source.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, "i"))?.[1] ??
+    source.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`, "i"))?.[1];
+
+  return [...text.matchAll(pattern)]
+    .map(([, attributes, body = ""]) => ({
+      name: attribute(attributes, "Include"),
+      version: attribute(attributes, "Version") ?? attribute(body, "Version") ?? "",
+      scope: /^all$/i.test(
+        attribute(attributes, "PrivateAssets") ?? attribute(body, "PrivateAssets")
+      )
+        ? "build"
+        : "runtime",
+    }))
+    .filter((dep) => dep.name);
+}
+
+/**
+ * pom.xml: <dependency> blocks with groupId, artifactId, version and scope.
+ * Plugin and parent artifactIds are not dependencies and are skipped, as
+ * are <dependencyManagement> version pins and the dependencies of plugins
+ * under <build> and <reporting>.
+ */
+function parseMavenPom(text) {
+  const scopes = {
+    compile: "runtime",
+    runtime: "runtime",
+    test: "test",
+    provided: "provided",
+    system: "provided",
+  };
+  const element = (block, name) =>
+    block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1];
+
+  const projectText = text
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(dependencyManagement|build|reporting)>[\s\S]*?<\/\1>/g, "");
+
+  return [...projectText.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)]
+    .map(([, block]) => ({
+      name: [element(block, "groupId"), element(block, "artifactId")].filter(Boolean).join(":"),
+      version: element(block, "version") || "",
+      scope: scopes[element(block, "scope") || "compile"] || "runtime",
+    }))
+    .filter((dep) => dep.name);
+}
+
+/** build.gradle(.kts): implementation("group:name:version") and friends */
+function parseGradleBuild(text) {
+  const pattern = /^\s*(\w+)\s*\(?\s*["']([^"':\s]+):([^"':\s]+)(?::([^"'\s]+))?["']/;
+  const configurations =
+    /(implementation|api|compileOnly|runtimeOnly|annotationProcessor|kapt|ksp|classpath|developmentOnly)$/i;
+  const scopeForConfiguration = (configuration) => {
+    if (/^test/.test(configuration)) return "test";
+    if (/^(compileOnly|annotationProcessor|kapt|ksp|classpath)$/.test(configuration))
+      return "build";
+    if (configuration === "developmentOnly") return "dev";
+    return "runtime";
+  };
+
+  return text
+    .split("\n")
+    .map((line) => line.match(pattern))
+    .filter((match) => match && configurations.test(match[1]))
+    .map((match) => ({
+      name: `${match[2]}:${match[3]}`,
+      version: match[4] || "",
+      scope: scopeForConfiguration(match[1]),
+    }));
+}
+
+/**
+ * Names to search docs for: the full dependency name plus, for Maven/Gradle
+ * coordinates ("org.springframework:spring-core") and Go module paths
+ * ("github.com/spf13/cobra/v2"), the short name docs usually use.
+ */
+function dependencySearchNames(dep) {
+  let shortName = null;
+
+  if (dep.ecosystem === "maven" || dep.ecosystem === "gradle") {
+    shortName = dep.name.split(":").pop();
+  } else if (dep.ecosystem === "go") {
+    shortName = dep.name
+      .split("/")
+      .filter((segment) => !/^v\d+$/.test(segment))
+      .pop();
+  }
+
+  const hasShortName = shortName && shortName !== dep.name && shortName.length >= 4;
+  return hasShortName ? [dep.name, shortName] : [dep.name];
+}
+
+export {
+  dependencySearchNames,
+  extractDependencyChanges,
+  getManifestVersions,
+  parseJsonManifest,
+  selectDependencyParser,
+};
@@ -0,0 +1,247 @@
+/**
+ * Renders the system and user prompts from templates.
+ */
+
+import { readFile } from "node:fs/promises";
+import { hashContent } from "./cache.mjs";
+import { Config } from "./config.mjs";
+
+/* ============================================================================
+   PROMPT TEMPLATES
+
+   The system and user prompts are rendered from templates with
+   `{{placeholder}}` slots. The default system template is prompt.md plus
+   slots for the project glossary and rules from the config file; the
+   default user template is the JSON request alone. A repo can replace
+   either with its own file (`prompt.system_template`, `prompt.user_template`)
+   instead of forking the script. Everything that shapes the prompt is
+   hashed into the prompt version recorded in each report.
+============================================================================ */
+
+/** The default system prompt, kept next to the entry point. */
+const DEFAULT_SYSTEM_PROMPT_FILE = new URL("../prompt.md", import.meta.url);
+
+/**
+ * Appended to prompt.md in the default system template: the project
+ * glossary and rules from the config file.
+ */
+const PROJECT_CONTEXT_TEMPLATE = `## Project Glossary
+
+Terms as this project's docs use them:
+
+{{glossary}}
+
+## Project Rules
+
+{{rules}}
+`;
+
+/** Default user prompt: the JSON request with changes, evidence and rules. */
+const DEFAULT_USER_TEMPLATE = "{{request}}";
+
+/**
+ * Rules sent with every request, after the system prompt's general ones.
+ * Project rules from the config file go into the system prompt.
+ */
+const REQUIRED_BEHAVIOR = [
+  "Return up to max_findings findings.",
+  "Return findings only when evidence contains specific text that should change.",
+  "Do not output vague impact statements—say what changed and how docs are now stale.",
+  "If a dependency was removed and docs reference it, say 'You dropped X' (naming its scope, e.g. 'You dropped dev dependency X') and suggest rewording.",
+  "config_changes lists renamed or removed npm scripts, bins, env vars, build args, ports and Compose services; docs that still use the old name or value (e.g. 'npm run dev' after a rename) are stale.",
+  "api_changes are structural changes to OpenAPI/GraphQL schemas (removed or renamed endpoints, changed parameters, removed fields, changed auth); docs that show the old endpoint, parameter, field or auth requirement are stale.",
+  "If docs reference the old path of a renamed file or the path of a removed file (see file_changes), they are stale.",
+  "If you cannot propose concrete revised wording grounded in evidence, do not mark drift.",
+  "Evidence from docs with modified_in_pr=true is the PR head version, which already includes this PR's doc edits.",
+  "Set resolved_in_pr=true only for drift that this PR's own doc changes already fix; otherwise set it to false.",
+  "Passages with match='related' do not contain a changed token verbatim but share its words (e.g. 'the teams endpoint' for /v1/teams); flag them only when the passage clearly refers to the changed item.",
+  "Tokens are tagged: 'removed' tokens still mentioned in docs are the strongest drift signal; 'renamed_to' names the likely replacement; 'moved' tokens still exist in the code and are not drift on their own.",
+];
+
+/**
+ * Placeholders a template can use:
+ * - request: the full JSON request (changes, evidence and required_behavior)
+ * - changes, evidence: the JSON of the changes or of the doc evidence alone
+ * - required_behavior, rules, glossary: Markdown lists
+ * - max_findings: the finding limit
+ */
+const PROMPT_PLACEHOLDERS = [
+  "request",
+  "changes",
+  "evidence",
+  "required_behavior",
+  "rules",
+  "glossary",
+  "max_findings",
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * JSON Schema for the AI's structured response.
+ * Strict schema ensures predictable, parseable output.
+ */
+const driftReportSchema = {
+  type: "object",
+  additionalProperties: false,
+  required: ["drift_detected", "findings"],
+  properties: {
+    drift_detected: { type: "boolean" },
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: [
+          "doc_title",
+          "doc_url",
+          "change_summary",
+          "impact_statement",
+          "confidence",
+          "evidence",
+          "suggested_revised_wording",
+          "resolved_in_pr",
+        ],
+        properties: {
+          doc_title: { type: "string" },
+          doc_url: { type: "string" },
+          change_summary: { type: "string" },
+          impact_statement: { type: "string" },
+          confidence: { type: "number", minimum: 0, maximum: 1 },
+          evidence: { type: "array", items: { type: "string" } },
+          suggested_revised_wording: { type: "string" },
+          resolved_in_pr: { type: "boolean" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Active templates, set by loadPromptTemplates: the repo's own files when
+ * the config file names any, otherwise the defaults.
+ */
+const PromptTemplates = {
+  system: null,
+  user: DEFAULT_USER_TEMPLATE,
+};
+
+/**
+ * Builds the default system template from prompt.md, without its title,
+ * followed by the project context sections.
+ */
+async function loadDefaultSystemTemplate() {
+  let text;
+  try {
+    text = await readFile(DEFAULT_SYSTEM_PROMPT_FILE, "utf8");
+  } catch (error) {
+    throw new Error(`Could not read the default system prompt: ${error.message}`);
+  }
+
+  return `${text.replace(/^# .*\n+/, "").trimEnd()}\n\n${PROJECT_CONTEXT_TEMPLATE}`;
+}
+
+/**
+ * Reads the prompt templates named in Config.prompt, relative to the repo
+ * root, and fails fast on placeholders that do not exist. The system
+ * template defaults to prompt.md.
+ */
+async function loadPromptTemplates() {
+  PromptTemplates.system = await loadDefaultSystemTemplate();
+  const paths = { system: Config.prompt.systemTemplate, user: Config.prompt.userTemplate };
+
+  for (const [kind, path] of Object.entries(paths)) {
+    if (!path) continue;
+
+    let text;
+    try {
+      text = await readFile(path, "utf8");
+    } catch (error) {
+      throw new Error(`Could not read ${kind} prompt template ${path}: ${error.message}`);
+    }
+
+    const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)]
+      .map(([, name]) => name)
+      .filter((name) => !PROMPT_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      const expected = PROMPT_PLACEHOLDERS.map((name) => `{{${name}}}`).join(", ");
+      throw new Error(
+        `Unknown placeholder(s) in ${path}: ${unknown.map((name) => `{{${name}}}`).join(", ")} (expected ${expected})`
+      );
+    }
+
+    PromptTemplates[kind] = text;
+  }
+}
+
+/**
+ * Fills a template's placeholders with the given values.
+ */
+function renderPromptTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (_, name) => values[name]);
+}
+
+/**
+ * Builds the placeholder values for one drift analysis call.
+ */
+function buildPromptValues(
+  { prFiles, tokens, dependencyChanges, configChanges, apiChanges, fileChanges },
+  docsEvidence
+) {
+  const changes = {
+    pr_files: prFiles,
+    extracted_change_tokens: tokens,
+    dependency_changes: dependencyChanges,
+    config_changes: configChanges,
+    api_changes: apiChanges,
+    file_changes: fileChanges,
+  };
+  const request = {
+    goal: "Determine whether code changes in this PR require documentation updates.",
+    limits: { max_findings: Config.drift.maxFindings },
+    ...changes,
+    documentation_evidence: docsEvidence,
+    required_behavior: REQUIRED_BEHAVIOR,
+  };
+
+  const toList = (items) =>
+    items.length > 0 ? items.map((item) => `- ${item}`).join("\n") : "None.";
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  return {
+    request: json(request),
+    changes: json(changes),
+    evidence: json(docsEvidence),
+    required_behavior: toList(REQUIRED_BEHAVIOR),
+    rules: toList(Config.prompt.rules),
+    glossary: toList(Config.prompt.glossary.map(({ term, meaning }) => `**${term}**: ${meaning}`)),
+    max_findings: String(Config.drift.maxFindings),
+  };
+}
+
+/**
+ * Returns a short hash identifying everything that shapes the prompt: the
+ * templates, the built-in and project rules, the glossary and the report
+ * schema. Recorded in each report, and part of the analysis cache key so
+ * cached results are not reused after any of them changes.
+ */
+function getPromptVersion() {
+  return hashContent({
+    templates: PromptTemplates,
+    required_behavior: REQUIRED_BEHAVIOR,
+    rules: Config.prompt.rules,
+    glossary: Config.prompt.glossary,
+    schema: driftReportSchema,
+  }).slice(0, 12);
+}
+
+export {
+  DEFAULT_USER_TEMPLATE,
+  PromptTemplates,
+  buildPromptValues,
+  driftReportSchema,
+  getPromptVersion,
+  loadDefaultSystemTemplate,
+  loadPromptTemplates,
+  renderPromptTemplate,
+};
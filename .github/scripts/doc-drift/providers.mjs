@@ -0,0 +1,296 @@
+/**
+ * Model providers: OpenAI, Azure OpenAI, Anthropic, Ollama and any
+ * OpenAI-compatible endpoint.
+ */
+
+import { Config } from "./config.mjs";
+import { TRANSIENT_STATUSES, fetchWithRetry, httpError } from "./http.mjs";
+
+/* ============================================================================
+   LLM PROVIDERS
+
+   Each provider maps the shared (messages, schema) request onto its own API
+   and structured-output mechanism, and returns the parsed report object.
+   Every base URL can be overridden, e.g. to point at a gateway or a mock.
+============================================================================ */
+
+/**
+ * Provider registry: defaults plus the call implementation for each backend.
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    call: callOpenAIResponses,
+    defaultModel: "gpt-4o-mini",
+    modelEnv: "OPENAI_MODEL",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    apiKeyEnv: "OPENAI_API_KEY",
+  },
+  "azure-openai": {
+    call: callAzureOpenAI,
+    apiKeyEnv: "AZURE_OPENAI_API_KEY",
+    baseUrlEnv: "AZURE_OPENAI_ENDPOINT",
+  },
+  "openai-compatible": {
+    call: callOpenAICompatible,
+    optionalApiKeyEnv: "OPENAI_API_KEY",
+  },
+  anthropic: {
+    call: callAnthropic,
+    defaultModel: "claude-3-5-haiku-latest",
+    defaultBaseUrl: "https://api.anthropic.com",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+  },
+  ollama: {
+    call: callOllama,
+    defaultModel: "llama3.1",
+    defaultBaseUrl: "http://localhost:11434",
+  },
+};
+
+/**
+ * Looks up the configured provider, failing fast on unknown names.
+ */
+function selectLLMProvider(name) {
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) {
+    const known = Object.keys(LLM_PROVIDERS).join(", ");
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${known})`);
+  }
+  return provider;
+}
+
+/**
+ * Resolves model, API key and base URL for the configured provider and
+ * validates that everything the provider needs is present.
+ */
+function resolveLLMSettings(overrides = {}) {
+  const provider = selectLLMProvider(Config.llm.provider);
+  const keyEnv = provider.apiKeyEnv || provider.optionalApiKeyEnv;
+
+  const settings = {
+    provider,
+    // A doc source's model wins, then env vars, then the config file
+    model:
+      overrides.model ||
+      process.env.LLM_MODEL ||
+      (provider.modelEnv && process.env[provider.modelEnv]) ||
+      Config.llm.model ||
+      provider.defaultModel,
+    apiKey: Config.llm.apiKey || (keyEnv && process.env[keyEnv]),
+    baseUrl: (
+      Config.llm.baseUrl ||
+      (provider.baseUrlEnv && process.env[provider.baseUrlEnv]) ||
+      provider.defaultBaseUrl ||
+      ""
+    ).replace(/\/+$/, ""),
+  };
+
+  if (provider.apiKeyEnv && !settings.apiKey) {
+    throw new Error(
+      `Missing required environment variable: ${provider.apiKeyEnv} (or LLM_API_KEY)`
+    );
+  }
+  if (!settings.baseUrl) {
+    throw new Error(
+      `Missing required environment variable: ${provider.baseUrlEnv || "LLM_BASE_URL"} for provider ${Config.llm.provider}`
+    );
+  }
+  if (!settings.model) {
+    throw new Error(
+      `Missing required environment variable: LLM_MODEL for provider ${Config.llm.provider}`
+    );
+  }
+
+  return settings;
+}
+
+/**
+ * Posts a JSON request and returns the parsed JSON response.
+ * Transient failures are retried (see fetchWithRetry); non-2xx responses
+ * become errors that include the provider's error body.
+ */
+async function postJson(url, headers, body, label) {
+  const response = await fetchWithRetry(
+    url,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    },
+    { label, timeoutMs: Config.network.modelTimeoutMs }
+  );
+
+  if (!response.ok) {
+    throw httpError(`${label} API error (${response.status}): ${response.text}`, {
+      status: response.status,
+      transient: TRANSIENT_STATUSES.has(response.status),
+    });
+  }
+
+  return JSON.parse(response.text);
+}
+
+/**
+ * Parses the structured output text returned by a provider.
+ */
+function parseStructuredOutput(output, label) {
+  if (!output) {
+    throw new Error(`${label} returned empty structured output`);
+  }
+
+  try {
+    return JSON.parse(output);
+  } catch {
+    throw new Error(`${label} returned structured output that is not valid JSON`);
+  }
+}
+
+/**
+ * OpenAI Responses API with a strict JSON schema.
+ */
+async function callOpenAIResponses(settings, messages, schema) {
+  const json = await postJson(
+    `${settings.baseUrl}/responses`,
+    { Authorization: `Bearer ${settings.apiKey}` },
+    {
+      model: settings.model,
+      input: messages,
+      text: {
+        format: {
+          type: "json_schema",
+          name: "doc_drift_report",
+          schema,
+          strict: true,
+        },
+      },
+    },
+    "OpenAI"
+  );
+
+  // Reasoning models emit reasoning items before the message, so look for
+  // the first content part that carries text rather than taking output[0].
+  const output = json.output
+    ?.flatMap((item) => item.content || [])
+    .find((part) => typeof part.text === "string")?.text;
+
+  return parseStructuredOutput(output, "OpenAI");
+}
+
+/**
+ * Builds a Chat Completions request body with a strict JSON schema response format.
+ * Shared by Azure OpenAI and OpenAI-compatible gateways.
+ */
+function buildChatCompletionsBody(messages, schema) {
+  return {
+    messages,
+    response_format: {
+      type: "json_schema",
+      json_schema: {
+        name: "doc_drift_report",
+        schema,
+        strict: true,
+      },
+    },
+  };
+}
+
+/**
+ * Azure OpenAI Chat Completions. The model setting names the deployment.
+ */
+async function callAzureOpenAI(settings, messages, schema) {
+  const deployment = encodeURIComponent(settings.model);
+  const apiVersion = encodeURIComponent(Config.llm.azureApiVersion);
+
+  const json = await postJson(
+    `${settings.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+    { "api-key": settings.apiKey },
+    buildChatCompletionsBody(messages, schema),
+    "Azure OpenAI"
+  );
+
+  return parseStructuredOutput(json.choices?.[0]?.message?.content, "Azure OpenAI");
+}
+
+/**
+ * Any server exposing the OpenAI Chat Completions API (gateways, vLLM, LiteLLM...).
+ */
+async function callOpenAICompatible(settings, messages, schema) {
+  const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+
+  const json = await postJson(
+    `${settings.baseUrl}/chat/completions`,
+    headers,
+    { model: settings.model, ...buildChatCompletionsBody(messages, schema) },
+    "OpenAI-compatible"
+  );
+
+  return parseStructuredOutput(json.choices?.[0]?.message?.content, "OpenAI-compatible");
+}
+
+/**
+ * Anthropic Messages API. Structured output is obtained by forcing a single
+ * tool call whose input schema is the report schema.
+ */
+async function callAnthropic(settings, messages, schema) {
+  const system = messages
+    .filter((message) => message.role === "system")
+    .map((message) => message.content)
+    .join("\n\n");
+
+  const json = await postJson(
+    `${settings.baseUrl}/v1/messages`,
+    { "x-api-key": settings.apiKey, "anthropic-version": "2023-06-01" },
+    {
+      model: settings.model,
+      max_tokens: Config.llm.maxOutputTokens,
+      system,
+      messages: messages.filter((message) => message.role !== "system"),
+      tools: [
+        {
+          name: "doc_drift_report",
+          description: "Report documentation drift findings.",
+          input_schema: schema,
+        },
+      ],
+      tool_choice: { type: "tool", name: "doc_drift_report" },
+    },
+    "Anthropic"
+  );
+
+  const toolUse = json.content?.find((block) => block.type === "tool_use");
+  if (!toolUse?.input) {
+    throw new Error("Anthropic returned empty structured output");
+  }
+
+  return toolUse.input;
+}
+
+/**
+ * Ollama chat API, which constrains output with a JSON schema in `format`.
+ */
+async function callOllama(settings, messages, schema) {
+  const json = await postJson(
+    `${settings.baseUrl}/api/chat`,
+    settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+    {
+      model: settings.model,
+      messages,
+      format: schema,
+      stream: false,
+      options: { temperature: 0 },
+    },
+    "Ollama"
+  );
+
+  return parseStructuredOutput(json.message?.content, "Ollama");
+}
+
+/**
+ * Sends a structured-output request to the configured LLM provider.
+ */
+async function callModel(messages, schema, overrides = {}) {
+  const settings = resolveLLMSettings(overrides);
+  return settings.provider.call(settings, messages, schema);
+}
+
+export { LLM_PROVIDERS, callModel, resolveLLMSettings };
@@ -0,0 +1,443 @@
+/**
+ * The repository config file (.doc-drift.yml) and the documentation
+ * sources it or DOC_SOURCES_JSON configures.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parse as parseYaml } from "yaml";
+import { Config, DRIFT_MODES, Log, OUTPUT_FORMATS } from "./config.mjs";
+import { stringSimilarity } from "./tokens.mjs";
+
+/* ============================================================================
+   REPOSITORY CONFIG FILE
+
+   Settings and doc sources can live in a versioned `.doc-drift.yml` at the
+   repository root, so they are reviewed like any other change and can vary
+   per doc source. Environment variables still win over the file, and the
+   file wins over the defaults in Config.
+============================================================================ */
+
+/** Config file names looked up at the repository root, in order. */
+const REPO_CONFIG_FILES = [".doc-drift.yml", ".doc-drift.yaml"];
+
+/** Config file sections that map onto the Config sections of the same name. */
+const CONFIG_SECTIONS = [
+  "llm",
+  "drift",
+  "limits",
+  "network",
+  "prompt",
+  "grounding",
+  "paths",
+  "cache",
+  "output",
+];
+
+/**
+ * Environment variables that override a config file setting.
+ * Keys are the file's `section.key` paths.
+ */
+const CONFIG_ENV_OVERRIDES = {
+  "llm.provider": "LLM_PROVIDER",
+  "llm.model": "LLM_MODEL",
+  "llm.base_url": "LLM_BASE_URL",
+  "llm.azure_api_version": "AZURE_OPENAI_API_VERSION",
+  "llm.max_output_tokens": "LLM_MAX_OUTPUT_TOKENS",
+  "drift.mode": "DRIFT_MODE",
+  "drift.fails_build": "DRIFT_FAILS_BUILD",
+  "drift.confidence_threshold": "DRIFT_CONFIDENCE_THRESHOLD",
+  "drift.max_findings": "MAX_FINDINGS",
+  "drift.infra_errors_fail_build": "INFRA_ERRORS_FAIL_BUILD",
+  "network.model_timeout_ms": "LLM_TIMEOUT_MS",
+  "network.max_retries": "HTTP_MAX_RETRIES",
+  "limits.max_doc_bytes": "MAX_DOC_BYTES",
+  "cache.dir": "DOC_DRIFT_CACHE_DIR",
+  "output.formats": "DOC_DRIFT_OUTPUTS",
+};
+
+/**
+ * JSON Schema for one doc source, shared by the config file and
+ * DOC_SOURCES_JSON. Per-source rules override the global drift settings
+ * for findings in that source's docs.
+ */
+const DOC_SOURCE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    title: { type: "string" },
+    url: { type: "string" },
+    path: { type: "string" },
+    exclude: { type: "array", items: { type: "string" } },
+    confidence_threshold: { type: "number", minimum: 0, maximum: 1 },
+    fails_build: { type: "boolean" },
+    model: { type: "string" },
+    owners: { type: "array", items: { type: "string" } },
+  },
+};
+
+/**
+ * JSON Schema for `.doc-drift.yml`. Limits mirror Config.limits in
+ * snake_case.
+ */
+const REPO_CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", enum: [1] },
+    llm: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: { type: "string" },
+        model: { type: "string" },
+        base_url: { type: "string" },
+        azure_api_version: { type: "string" },
+        max_output_tokens: { type: "integer", minimum: 1 },
+      },
+    },
+    drift: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        mode: { type: "string", enum: DRIFT_MODES },
+        fails_build: { type: "boolean" },
+        confidence_threshold: { type: "number", minimum: 0, maximum: 1 },
+        max_findings: { type: "integer", minimum: 1 },
+        infra_errors_fail_build: { type: "boolean" },
+      },
+    },
+    limits: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.keys(Config.limits).map((key) => [toSnakeCase(key), { type: "integer", minimum: 1 }])
+      ),
+    },
+    network: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        doc_timeout_ms: { type: "integer", minimum: 1 },
+        model_timeout_ms: { type: "integer", minimum: 1 },
+        max_retries: { type: "integer", minimum: 0 },
+        retry_base_delay_ms: { type: "integer", minimum: 0 },
+        max_retry_delay_ms: { type: "integer", minimum: 0 },
+      },
+    },
+    prompt: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        system_template: { type: "string" },
+        user_template: { type: "string" },
+        glossary: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["term", "meaning"],
+            properties: {
+              term: { type: "string" },
+              meaning: { type: "string" },
+            },
+          },
+        },
+        rules: { type: "array", items: { type: "string" } },
+      },
+    },
+    grounding: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        min_excerpt_score: { type: "number", minimum: 0, maximum: 1 },
+        verbatim_score: { type: "number", minimum: 0, maximum: 1 },
+      },
+    },
+    paths: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ignore: { type: "array", items: { type: "string" } },
+        routes: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["paths", "docs"],
+            properties: {
+              paths: { type: "array", minItems: 1, items: { type: "string" } },
+              docs: { type: "array", minItems: 1, items: { type: "string" } },
+            },
+          },
+        },
+      },
+    },
+    cache: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        dir: { type: "string" },
+        max_age_days: { type: "integer", minimum: 1 },
+      },
+    },
+    output: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        formats: { type: "array", items: { type: "string", enum: OUTPUT_FORMATS } },
+        json_path: { type: "string" },
+        sarif_path: { type: "string" },
+      },
+    },
+    sources: { type: "array", items: DOC_SOURCE_SCHEMA },
+  },
+};
+
+/** Converts "maxDocBytes" to "max_doc_bytes". */
+function toSnakeCase(key) {
+  return key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+}
+
+/** Converts "max_doc_bytes" to "maxDocBytes". */
+function toCamelCase(key) {
+  return key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Reads and validates the repository config file. Without an explicit
+ * path, the default file names are tried and a missing file is not an
+ * error. Returns `{ path, config }`, or null when there is no file.
+ */
+async function loadRepoConfig(configPath = null) {
+  for (const path of configPath ? [configPath] : REPO_CONFIG_FILES) {
+    let text;
+    try {
+      text = await readFile(path, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT" && !configPath) continue;
+      throw new Error(`Could not read config file ${path}: ${error.message}`);
+    }
+
+    return { path, config: parseRepoConfig(text, path) };
+  }
+
+  return null;
+}
+
+/**
+ * Parses config file text and validates it against REPO_CONFIG_SCHEMA,
+ * reporting every problem at once.
+ */
+function parseRepoConfig(text, path) {
+  let config;
+  try {
+    config = parseYaml(text) ?? {};
+  } catch (error) {
+    throw new Error(`${path} is not valid YAML: ${error.message}`);
+  }
+
+  const errors = validateSchema(config, REPO_CONFIG_SCHEMA);
+  if (errors.length === 0 && config.sources) {
+    errors.push(...validateDocSources(config.sources).map((error) => `sources${error}`));
+  }
+
+  if (errors.length > 0) {
+    throw validationError(path, errors);
+  }
+
+  return config;
+}
+
+/**
+ * Builds one error listing every validation problem, one per line.
+ */
+function validationError(label, errors) {
+  return new Error(`Invalid ${label}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+}
+
+/**
+ * Validates a value against a JSON Schema subset (type, enum, minimum,
+ * maximum, properties, required, additionalProperties: false, items and
+ * minItems).
+ * Returns error messages prefixed with the offending path.
+ */
+function validateSchema(value, schema, path = "") {
+  const at = path || "config";
+  const typeChecks = {
+    object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+    string: (v) => typeof v === "string",
+    boolean: (v) => typeof v === "boolean",
+    number: (v) => typeof v === "number" && Number.isFinite(v),
+    integer: (v) => Number.isInteger(v),
+  };
+
+  if (schema.type && !typeChecks[schema.type](value)) {
+    const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+    return [`${at}: must be ${article} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+
+  if (schema.type === "object") {
+    const known = Object.keys(schema.properties || {});
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required setting "${key}"`);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = known.find((name) => stringSimilarity(name, key) >= 0.5);
+        const hint = suggestion ? ` (did you mean "${suggestion}"?)` : "";
+        errors.push(`${childPath}: unknown setting${hint}`);
+      }
+    }
+  }
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(
+      `${at}: must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`
+    );
+  }
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks the rules a schema cannot express for a list of doc sources.
+ * Errors are prefixed with the source index, e.g. `[2]: ...`.
+ */
+function validateDocSources(docSources) {
+  const errors = [];
+
+  docSources.forEach((source, index) => {
+    if (typeof source?.url !== "string" && typeof source?.path !== "string") {
+      errors.push(`[${index}]: must have a "url" or a "path"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Applies config file settings to Config, skipping any setting whose
+ * environment variable is set.
+ */
+function applyRepoConfig(config) {
+  for (const section of CONFIG_SECTIONS) {
+    for (const [key, value] of Object.entries(config[section] || {})) {
+      const envName = CONFIG_ENV_OVERRIDES[`${section}.${key}`];
+      if (envName && process.env[envName]) continue;
+
+      const isProvider = section === "llm" && key === "provider";
+      Config[section][toCamelCase(key)] = isProvider ? value.toLowerCase() : value;
+    }
+  }
+}
+
+/**
+ * Returns the rules that apply to findings in a source's docs, falling
+ * back to the global drift settings.
+ */
+function getSourceRules(source) {
+  return {
+    confidenceThreshold: source.confidence_threshold ?? Config.drift.confidenceThreshold,
+    failsBuild: source.fails_build ?? Config.drift.failsBuild,
+    model: source.model || null,
+    owners: source.owners || [],
+  };
+}
+
+/**
+ * Parses and validates the documentation sources configuration.
+ *
+ * Each entry is either a remote doc `{ title, url }` or a workspace glob
+ * `{ path, exclude? }` resolved against the checked-out repository, plus
+ * optional per-source rules (see DOC_SOURCE_SCHEMA).
+ */
+function parseDocSources(rawJson) {
+  let docSources;
+
+  try {
+    docSources = JSON.parse(rawJson);
+  } catch {
+    throw new Error("DOC_SOURCES_JSON must be valid JSON");
+  }
+
+  if (!Array.isArray(docSources) || docSources.length === 0) {
+    throw new Error("DOC_SOURCES_JSON must be a non-empty JSON array");
+  }
+
+  // Unknown keys are tolerated: existing secrets may carry extra fields
+  const schema = { type: "array", items: { ...DOC_SOURCE_SCHEMA, additionalProperties: true } };
+  const errors = validateSchema(docSources, schema, "DOC_SOURCES_JSON");
+  if (errors.length === 0) {
+    errors.push(...validateDocSources(docSources).map((error) => `DOC_SOURCES_JSON${error}`));
+  }
+
+  if (errors.length > 0) {
+    throw validationError("DOC_SOURCES_JSON", errors);
+  }
+
+  return docSources;
+}
+
+/**
+ * Picks the doc sources to scan: DOC_SOURCES_JSON when set, otherwise the
+ * `sources` of the repository config file.
+ */
+function selectDocSources(repoConfig) {
+  if (process.env.DOC_SOURCES_JSON) {
+    return parseDocSources(process.env.DOC_SOURCES_JSON);
+  }
+
+  if (repoConfig?.config.sources?.length > 0) {
+    return repoConfig.config.sources;
+  }
+
+  throw new Error(
+    `No documentation sources configured: add "sources" to ${REPO_CONFIG_FILES[0]} or set DOC_SOURCES_JSON`
+  );
+}
+
+/**
+ * Loads the repository config file, if any, and applies its settings.
+ */
+async function setUpRepoConfig(configPath) {
+  const repoConfig = await loadRepoConfig(configPath);
+
+  if (repoConfig) {
+    applyRepoConfig(repoConfig.config);
+    Log.info(`Using settings from ${repoConfig.path}`);
+  }
+
+  return repoConfig;
+}
+
+export {
+  getSourceRules,
+  parseRepoConfig,
+  selectDocSources,
+  setUpRepoConfig,
+  validateSchema,
+  validationError,
+};
@@ -0,0 +1,398 @@
+/**
+ * Renders the Markdown report and writes the JSON, SARIF and step summary
+ * outputs.
+ */
+
+import { writeFile } from "node:fs/promises";
+import core from "@actions/core";
+import { Config, DRIFT_MODES, Log, OUTPUT_FORMATS } from "./config.mjs";
+import { getMaxConfidence, isBlockingFinding } from "./github.mjs";
+import { findDocumentForFinding } from "./grounding.mjs";
+import { resolveLLMSettings } from "./providers.mjs";
+
+/* ============================================================================
+   REPORT GENERATION
+============================================================================ */
+
+/**
+ * Renders a single drift finding as Markdown.
+ */
+function renderFinding(finding, number) {
+  let markdown = `### ${number}. ${finding.doc_title}\n`;
+  markdown += `- Doc: ${finding.doc_url}\n`;
+  markdown += `- Change: ${finding.change_summary}\n`;
+  markdown += `- Impact: ${finding.impact_statement}\n`;
+
+  if (finding.doc_section) {
+    markdown += `- Section: ${finding.doc_section}\n`;
+  }
+
+  if (finding.doc_owners) {
+    markdown += `- Owners: ${finding.doc_owners.join(", ")}\n`;
+  }
+
+  if (finding.status) {
+    markdown += `- Status: ${finding.status} (ID \`${finding.fingerprint}\`)\n`;
+  }
+
+  if (finding.evidence_lines?.length) {
+    const ranges = finding.evidence_lines.map(({ start, end }) => {
+      const anchor = start === end ? `L${start}` : `L${start}-L${end}`;
+      // ?plain=1 makes GitHub show Markdown as source, where line anchors work
+      return finding.doc_html_url
+        ? `[${anchor}](${finding.doc_html_url}?plain=1#${anchor})`
+        : anchor;
+    });
+    markdown += `- Lines: ${ranges.join(", ")}\n`;
+  }
+
+  const note = finding.grounding_note ? ` (${finding.grounding_note})` : "";
+  markdown += `- Confidence: ${Math.round(finding.confidence * 100)}%${note}\n\n`;
+
+  if (finding.evidence?.length) {
+    markdown += "**Evidence**\n";
+    for (const excerpt of finding.evidence.slice(0, 3)) {
+      const quoted = String(excerpt).trim().replace(/\n/g, "\n> ");
+      markdown += `> ${quoted}\n\n`;
+    }
+  }
+
+  if (finding.suggested_revised_wording?.trim()) {
+    markdown += "**Suggested revised wording**\n```text\n";
+    markdown += finding.suggested_revised_wording.trim() + "\n";
+    markdown += "```\n\n";
+  }
+
+  return markdown;
+}
+
+/**
+ * Renders findings that the PR's own doc edits already fixed.
+ */
+function renderResolvedFindings(resolvedFindings) {
+  let markdown = "### Resolved in this PR\n";
+
+  for (const finding of resolvedFindings) {
+    markdown += `- **${finding.doc_title}**: ${finding.change_summary}\n`;
+  }
+
+  return markdown + "\n";
+}
+
+/**
+ * Renders the findings the baseline suppressed, with the recorded reasons.
+ */
+function renderSuppressedFindings(suppressedFindings) {
+  let markdown = `<details>\n<summary>${suppressedFindings.length} finding(s) suppressed by the baseline</summary>\n\n`;
+
+  for (const { doc_title, change_summary, fingerprint, suppression } of suppressedFindings) {
+    const expiry = suppression.expires ? ` (until ${suppression.expires})` : "";
+    markdown += `- **${doc_title}**: ${change_summary} (ID \`${fingerprint}\`) — _${suppression.reason}_${expiry}\n`;
+  }
+
+  return markdown + "\n</details>\n\n";
+}
+
+/**
+ * Renders the findings reviewers dismissed, with who dismissed them and why.
+ */
+function renderDismissedFindings(dismissedFindings) {
+  let markdown = `<details>\n<summary>${dismissedFindings.length} dismissed finding(s)</summary>\n\n`;
+
+  for (const { doc_title, change_summary, fingerprint, dismissal } of dismissedFindings) {
+    const reason = dismissal.reason ? `: _${dismissal.reason}_` : "";
+    markdown += `- **${doc_title}**: ${change_summary} (ID \`${fingerprint}\`) — dismissed by @${dismissal.by}${reason}\n`;
+  }
+
+  return markdown + "\n</details>\n\n";
+}
+
+/**
+ * Renders the findings dropped by the grounding check, with reasons.
+ */
+function renderDiscardedFindings(discarded) {
+  let markdown = `<details>\n<summary>${discarded.length} finding(s) discarded by the grounding check</summary>\n\n`;
+
+  for (const { doc_title, change_summary, reason } of discarded) {
+    markdown += `- **${doc_title}**: ${change_summary} — _${reason}_\n`;
+  }
+
+  return markdown + "\n</details>\n\n";
+}
+
+/**
+ * Renders what the analysis skipped or truncated, so a clean report on a
+ * partially analyzed PR is not mistaken for full coverage. Renders nothing
+ * when everything was analyzed.
+ */
+function renderCoverage(coverage) {
+  const notes = [];
+  const details = [];
+  const codeList = (items) => items.map((item) => `\`${item}\``).join(", ");
+
+  if (coverage.skipped_calls.length > 0) {
+    notes.push(`${coverage.skipped_calls.length} model call(s) skipped`);
+    details.push(
+      `**Skipped** (over the limit of ${Config.limits.maxModelCalls} model calls):`,
+      ...coverage.skipped_calls.map(
+        ({ files, docs }) => `  - ${codeList(files)} against ${docs.join(", ")}`
+      )
+    );
+  }
+  if (coverage.truncated_patches.length > 0) {
+    notes.push(`${coverage.truncated_patches.length} diff(s) truncated`);
+    details.push(
+      `**Truncated** to ${Config.limits.maxPatchLength} characters: ${codeList(coverage.truncated_patches)}`
+    );
+  }
+  if (coverage.files_without_diff.length > 0) {
+    notes.push(`${coverage.files_without_diff.length} file(s) without a diff`);
+    details.push(`**No diff** (binary or too large): ${codeList(coverage.files_without_diff)}`);
+  }
+  for (const [kind, count] of Object.entries(coverage.omitted_changes)) {
+    const label = kind.replace(/_/g, " ");
+    notes.push(`${count} ${label} over the limit`);
+    details.push(`**Not analyzed:** ${count} ${label} over the configured limit`);
+  }
+  if (coverage.ignored_files.length > 0) {
+    notes.push(`${coverage.ignored_files.length} file(s) ignored`);
+    details.push(`**Ignored** by path rules: ${codeList(coverage.ignored_files)}`);
+  }
+
+  if (notes.length === 0) return "";
+
+  let markdown = "";
+  if (coverage.skipped_calls.length > 0) {
+    markdown += `> **Partial coverage:** parts of this PR were not analyzed, so findings may be missing.\n\n`;
+  }
+
+  markdown += `<details>\n<summary>Coverage: ${notes.join(", ")}</summary>\n\n`;
+  markdown += details.map((line) => (line.startsWith("  ") ? line : `- ${line}`)).join("\n");
+  return markdown + "\n\n</details>\n\n";
+}
+
+/**
+ * Renders the evidence of model calls that failed, so reviewers can check
+ * the passages by hand until the analysis can run again.
+ */
+function renderDegradedAnalysis(degraded) {
+  let markdown = `> **Degraded report:** the model was unavailable for ${degraded.failed_calls} of ${degraded.total_calls} model call(s), so the evidence below was not analyzed. Review it by hand or re-run the workflow.\n\n`;
+
+  markdown += `<details>\n<summary>${degraded.evidence.length} doc(s) with unanalyzed evidence</summary>\n\n`;
+  for (const { title, url, hits } of degraded.evidence) {
+    markdown += `**${title}** (${url})\n`;
+    for (const hit of hits) {
+      const lines =
+        hit.start_line === hit.end_line
+          ? `L${hit.start_line}`
+          : `L${hit.start_line}-L${hit.end_line}`;
+      const section = hit.section ? ` ${hit.section}` : "";
+      const terms = hit.tokens.map(({ token, change }) => `\`${token}\` (${change})`).join(", ");
+      markdown += `- ${lines}${section}: ${terms}\n`;
+    }
+    markdown += "\n";
+  }
+
+  markdown += `Errors:\n${degraded.errors.map((error) => `- ${error}`).join("\n")}\n`;
+  return markdown + "\n</details>\n\n";
+}
+
+/**
+ * Renders the drift report as a Markdown PR comment.
+ */
+function renderReport(report) {
+  const findingCount = Array.isArray(report.findings) ? report.findings.length : 0;
+  const resolvedFindings = report.resolved_findings || [];
+
+  let markdown = "## Documentation Drift Report\n\n";
+  markdown += `**Drift detected:** ${report.drift_detected ? "YES" : "NO"}\n`;
+  markdown += `**Total drift instances:** ${findingCount}\n\n`;
+
+  if (report.degraded) {
+    markdown += renderDegradedAnalysis(report.degraded);
+  }
+
+  if (findingCount === 0 && !report.degraded) {
+    markdown += "_No documentation drift detected._\n\n";
+  }
+
+  report.findings?.forEach((finding, index) => {
+    markdown += renderFinding(finding, index + 1);
+  });
+
+  if (report.findings?.some((finding) => finding.status)) {
+    markdown += "_Reply `/doc-drift dismiss <number> <reason>` to dismiss a false positive._\n\n";
+  }
+
+  if (resolvedFindings.length > 0) {
+    markdown += renderResolvedFindings(resolvedFindings);
+  }
+
+  if (report.dismissed_findings?.length > 0) {
+    markdown += renderDismissedFindings(report.dismissed_findings);
+  }
+
+  if (report.suppressed_findings?.length > 0) {
+    markdown += renderSuppressedFindings(report.suppressed_findings);
+  }
+
+  if (report.grounding?.discarded.length > 0) {
+    markdown += renderDiscardedFindings(report.grounding.discarded);
+  }
+
+  if (report.coverage) {
+    markdown += renderCoverage(report.coverage);
+  }
+
+  if (report.prompt_version) {
+    markdown += `<sub>Prompt version \`${report.prompt_version}\`</sub>\n`;
+  }
+
+  return markdown.trimEnd() + "\n";
+}
+
+/* ============================================================================
+   REPORT OUTPUTS
+
+   Dashboards and downstream jobs should not have to scrape the Markdown
+   comment. A run can also write a JSON report, a SARIF log that puts
+   findings into code scanning at their doc file and line, and the GitHub
+   step summary (Config.output.formats), and it always sets step outputs
+   with the headline numbers.
+============================================================================ */
+
+const SARIF_RULE_ID = "doc-drift/stale-documentation";
+
+/**
+ * Fails fast on an unknown DRIFT_MODE and, when the model is used, on
+ * missing model settings.
+ */
+function validateDriftMode() {
+  if (!DRIFT_MODES.includes(Config.drift.mode)) {
+    throw new Error(
+      `Unknown drift mode "${Config.drift.mode}" (expected ${DRIFT_MODES.join(" or ")})`
+    );
+  }
+  if (Config.drift.mode === "llm") {
+    resolveLLMSettings();
+  }
+}
+
+/**
+ * Fails fast on output formats that do not exist, before any analysis
+ * runs. The config file is checked by its schema; this covers the
+ * DOC_DRIFT_OUTPUTS variable.
+ */
+function validateOutputFormats() {
+  const unknown = Config.output.formats.filter((format) => !OUTPUT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown output format(s): ${unknown.join(", ")} (expected ${OUTPUT_FORMATS.join(", ")})`
+    );
+  }
+}
+
+/**
+ * Builds a SARIF 2.1.0 log with one result per open finding, located at
+ * the first evidence lines of its doc. Findings in docs outside the
+ * repository have no file to point at and are left out.
+ */
+function buildSarifLog(report, documents) {
+  const results = [];
+
+  for (const finding of report.findings) {
+    const path = findDocumentForFinding(finding, documents)?.path;
+    if (!path) continue;
+
+    const isBlocking = isBlockingFinding(finding, documents);
+    const { start, end } = finding.evidence_lines?.[0] || { start: 1, end: 1 };
+    const suggestion = finding.suggested_revised_wording?.trim();
+
+    results.push({
+      ruleId: SARIF_RULE_ID,
+      level: isBlocking ? "error" : "warning",
+      message: {
+        text: [
+          `${finding.change_summary}: ${finding.impact_statement}`,
+          suggestion && `Suggested revised wording: ${suggestion}`,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
+      },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: path },
+            region: { startLine: start, endLine: end },
+          },
+        },
+      ],
+      partialFingerprints: { "docDriftFinding/v1": finding.fingerprint },
+      properties: { confidence: finding.confidence },
+    });
+  }
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "doc-drift",
+            rules: [
+              {
+                id: SARIF_RULE_ID,
+                name: "StaleDocumentation",
+                shortDescription: { text: "Documentation is stale after a code change" },
+                fullDescription: {
+                  text: "The doc describes behavior, names or paths that this change removed or renamed.",
+                },
+                defaultConfiguration: { level: "warning" },
+              },
+            ],
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Writes the configured report outputs and sets the step outputs
+ * `drift_detected`, `finding_count`, `max_confidence`, `report_path` and
+ * `sarif_path` (empty when that format is off).
+ */
+async function writeReportOutputs(report, documents, markdown) {
+  const { formats, jsonPath, sarifPath } = Config.output;
+
+  if (formats.includes("json")) {
+    await writeFile(jsonPath, JSON.stringify(report, null, 2) + "\n");
+    Log.info(`Wrote JSON report to ${jsonPath}`);
+  }
+
+  if (formats.includes("sarif")) {
+    await writeFile(sarifPath, JSON.stringify(buildSarifLog(report, documents), null, 2) + "\n");
+    Log.info(`Wrote SARIF log to ${sarifPath}`);
+  }
+
+  if (formats.includes("summary") && process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary.addRaw(markdown).write();
+  }
+
+  core.setOutput("drift_detected", Boolean(report.drift_detected));
+  core.setOutput("finding_count", report.findings.length);
+  core.setOutput("max_confidence", getMaxConfidence(report.findings));
+  core.setOutput("degraded", Boolean(report.degraded));
+  core.setOutput("report_path", formats.includes("json") ? jsonPath : "");
+  core.setOutput("sarif_path", formats.includes("sarif") ? sarifPath : "");
+}
+
+export {
+  buildSarifLog,
+  renderReport,
+  validateDriftMode,
+  validateOutputFormats,
+  writeReportOutputs,
+};
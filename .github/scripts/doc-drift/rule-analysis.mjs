@@ -0,0 +1,222 @@
+/**
+ * Deterministic drift rules, used without a model.
+ */
+
+import { describeConfigChange } from "./config-surface.mjs";
+import { Config } from "./config.mjs";
+import { traceSearchTerms } from "./evidence.mjs";
+import { describeApiChange } from "./schema-diff.mjs";
+import { classifyToken } from "./tokens.mjs";
+
+/* ============================================================================
+   RULE-BASED ANALYSIS
+
+   Repos that cannot send code to an external model, or want a cheap first
+   gate, set `drift.mode: rules`. Deterministic rules then judge the same
+   evidence the model would see: a removed or renamed dependency, config
+   entry, API element, file or token that a doc still mentions becomes a
+   finding of the driftReportSchema shape, with the rule's confidence and a
+   templated rewrite.
+============================================================================ */
+
+/**
+ * Token kinds (see classifyToken) the rules report: flags, env vars and
+ * constants, and paths. Renamed or removed prose strings are too noisy.
+ */
+const RULE_TOKEN_KINDS = ["flag", "constant", "path"];
+
+/**
+ * Drift rules, in order of precedence; the first rule matching a traced
+ * search term (see traceSearchTerms) decides its finding. Changes from
+ * structured records are reliable enough to fail the build at the default
+ * threshold; tokens from the generic diff heuristics are not.
+ */
+const DRIFT_RULES = [
+  {
+    id: "renamed-change",
+    confidence: 0.9,
+    matches: ({ term, source }) => source !== "token" && Boolean(term.renamed_to),
+  },
+  {
+    id: "removed-dependency",
+    confidence: 0.85,
+    matches: ({ term, source }) => source === "dependency" && term.change === "removed",
+  },
+  {
+    id: "removed-config",
+    confidence: 0.85,
+    matches: ({ term, source }) => source === "config" && term.change === "removed",
+  },
+  {
+    id: "removed-api",
+    confidence: 0.85,
+    matches: ({ term, source }) => source === "api" && term.change === "removed",
+  },
+  {
+    id: "removed-file",
+    confidence: 0.8,
+    matches: ({ term, source }) => source === "file" && term.change === "removed",
+  },
+  {
+    id: "renamed-token",
+    confidence: 0.7,
+    matches: ({ term, source }) =>
+      source === "token" &&
+      Boolean(term.renamed_to) &&
+      RULE_TOKEN_KINDS.includes(classifyToken(term.token)),
+  },
+  {
+    id: "removed-token",
+    confidence: 0.7,
+    matches: ({ term, source }) =>
+      source === "token" &&
+      term.change === "removed" &&
+      RULE_TOKEN_KINDS.includes(classifyToken(term.token)),
+  },
+];
+
+/** Labels for generic tokens, by classifyToken kind. */
+const TOKEN_KIND_LABELS = {
+  flag: "CLI flag",
+  constant: "environment variable or constant",
+  path: "path",
+};
+
+/**
+ * Judges documentation evidence with DRIFT_RULES instead of a model.
+ * Each term a doc still mentions yields at most one finding per doc, citing
+ * up to three of the lines that mention it. A term contained in another
+ * term already reported on the same line (like "/teams" in "GET /teams")
+ * is not reported again.
+ */
+function analyzeDriftWithRules(changes, docsEvidence) {
+  const tracedTerms = traceSearchTerms(changes);
+  const findings = [];
+
+  for (const docEvidence of docsEvidence) {
+    const candidates = [];
+
+    for (const [token, lines] of collectTermLines(docEvidence.hits)) {
+      const traced = tracedTerms.get(token);
+      const rule = traced && DRIFT_RULES.find((candidate) => candidate.matches(traced));
+      if (rule) candidates.push({ rule, traced, lines });
+    }
+
+    const reported = [];
+    candidates.sort((a, b) => b.rule.confidence - a.rule.confidence);
+    for (const candidate of candidates) {
+      const isCovered = reported.some(
+        ({ traced, lines }) =>
+          isOverlappingTerm(traced.term.token, candidate.traced.term.token) &&
+          candidate.lines.every((line) => lines.includes(line))
+      );
+      if (isCovered) continue;
+
+      reported.push(candidate);
+      findings.push(buildRuleFinding(candidate, docEvidence));
+    }
+  }
+
+  findings.sort((a, b) => b.confidence - a.confidence);
+  return {
+    drift_detected: findings.length > 0,
+    findings: findings.slice(0, Config.drift.maxFindings),
+    resolved_findings: [],
+  };
+}
+
+/**
+ * Lists, per search term, the distinct lines of a doc's passages that
+ * mention it verbatim. Related passages (see rankChunks) contribute no
+ * lines, so rules only judge exact mentions.
+ */
+function collectTermLines(hits) {
+  const linesByToken = new Map();
+
+  for (const hit of hits) {
+    const lines = hit.text.split("\n");
+    for (const { token } of hit.tokens) {
+      const matching = lines.filter((line) => line.toLowerCase().includes(token.toLowerCase()));
+      if (matching.length === 0) continue;
+      const known = linesByToken.get(token) || [];
+      linesByToken.set(token, [...new Set([...known, ...matching])]);
+    }
+  }
+
+  return linesByToken;
+}
+
+/** Tells whether one term contains the other, ignoring case. */
+function isOverlappingTerm(a, b) {
+  const [lowerA, lowerB] = [a.toLowerCase(), b.toLowerCase()];
+  return lowerA.includes(lowerB) || lowerB.includes(lowerA);
+}
+
+/**
+ * Builds the finding for a rule match, with templated summary, impact
+ * statement and suggested rewrite.
+ */
+function buildRuleFinding({ rule, traced, lines }, docEvidence) {
+  const { token, renamed_to: renamedTo } = traced.term;
+  const excerpts = lines.slice(0, 3).map((line) => line.trim());
+  const places = lines.length === 1 ? "1 place" : `${lines.length} places`;
+
+  const impact = renamedTo
+    ? `${docEvidence.title} still uses the old name "${token}" in ${places}; it is now "${renamedTo}".`
+    : `${docEvidence.title} still mentions "${token}" in ${places}, which this PR removed.`;
+
+  const suggestion = renamedTo
+    ? excerpts.map((excerpt) => replaceTerm(excerpt, token, renamedTo)).join("\n")
+    : `Remove the mention of "${token}" or replace it with what supersedes it:\n${excerpts.join("\n")}`;
+
+  return {
+    doc_title: docEvidence.title,
+    doc_url: docEvidence.url,
+    change_summary: describeTracedChange(traced),
+    impact_statement: impact,
+    confidence: rule.confidence,
+    evidence: excerpts,
+    suggested_revised_wording: suggestion,
+    resolved_in_pr: false,
+  };
+}
+
+/**
+ * Describes the change behind a traced search term in one line, reusing
+ * the descriptions of structured change records.
+ */
+function describeTracedChange({ term, source, record }) {
+  switch (source) {
+    case "api":
+      return describeApiChange(record);
+    case "config":
+      return describeConfigChange(record);
+    case "dependency": {
+      const scope = record.scope && record.scope !== "runtime" ? `${record.scope} ` : "";
+      return `Removed ${scope}dependency ${record.name}`;
+    }
+    case "file":
+      return record.change === "renamed"
+        ? `Renamed ${record.previous_path} to ${record.path}`
+        : `Removed ${record.path}`;
+    default: {
+      const label = TOKEN_KIND_LABELS[classifyToken(term.token)] || "text";
+      return term.renamed_to
+        ? `Renamed ${label} "${term.token}" to "${term.renamed_to}"`
+        : `Removed ${label} "${term.token}"`;
+    }
+  }
+}
+
+/**
+ * Replaces every occurrence of a term in a line, ignoring case, unless it
+ * is part of a longer word.
+ */
+function replaceTerm(line, term, replacement) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const before = /^\w/.test(term) ? "(?<!\\w)" : "";
+  const after = /\w$/.test(term) ? "(?!\\w)" : "";
+  return line.replace(new RegExp(`${before}${escaped}${after}`, "gi"), () => replacement);
+}
+
+export { analyzeDriftWithRules };
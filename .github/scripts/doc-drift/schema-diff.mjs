@@ -0,0 +1,786 @@
+/**
+ * Compares OpenAPI and GraphQL schemas structurally.
+ */
+
+import { parse as parseYaml } from "yaml";
+import { Log } from "./config.mjs";
+import { getManifestVersions } from "./manifests.mjs";
+import { stringSimilarity } from "./tokens.mjs";
+
+/* ============================================================================
+   API SCHEMA CHANGE DETECTION
+
+   OpenAPI/Swagger documents and GraphQL schemas are large, so their patches
+   are usually truncated, and a line diff cannot tell a renamed path from a
+   new example value. Both versions of the schema are parsed instead and
+   compared structurally: endpoints, parameters, fields and auth.
+============================================================================ */
+
+/**
+ * API schema formats by file name. OpenAPI documents are recognized by
+ * name, since their content is not known before it is fetched.
+ */
+const API_SCHEMA_FILES = [
+  {
+    pattern: /(^|\/)[\w.-]*(openapi|swagger|api-?spec)[\w.-]*\.(ya?ml|json)$/i,
+    api: "openapi",
+    parse: parseOpenApiSchema,
+    diff: diffOpenApiSchemas,
+  },
+  {
+    pattern: /\.(graphql|graphqls|gql)$/i,
+    api: "graphql",
+    parse: parseGraphQLSchema,
+    diff: diffGraphQLSchemas,
+  },
+];
+
+/**
+ * Extracts structural changes from a changed API schema file.
+ *
+ * Returns records `{ api, kind, change, name, file, summary }` where kind is
+ * "endpoint", "parameter", "field" or "auth"; parameter and auth records
+ * name their `endpoint`. Renamed records carry `renamed_to`, updated ones
+ * `from` and `to`. A side that fails to parse (e.g. rebuilt from a partial
+ * patch) yields no records; the file's tokens are still extracted as usual.
+ */
+function extractApiChanges(file) {
+  const schemaFile = selectApiSchemaParser(file.filename);
+  if (!schemaFile) return [];
+
+  const { before, after } = getManifestVersions(file);
+  let changes;
+
+  try {
+    changes = schemaFile.diff(schemaFile.parse(before), schemaFile.parse(after));
+  } catch (error) {
+    Log.warning(`Could not parse API schema ${file.filename}: ${error.message}`);
+    return [];
+  }
+
+  return changes.map((change) => ({
+    api: schemaFile.api,
+    ...change,
+    file: file.filename,
+    summary: describeApiChange(change),
+  }));
+}
+
+/**
+ * Selects the schema format for a file, or null if it is not an API schema.
+ */
+function selectApiSchemaParser(filename) {
+  return API_SCHEMA_FILES.find((schemaFile) => schemaFile.pattern.test(filename)) || null;
+}
+
+/**
+ * Describes an API change in one line for the model and the report.
+ */
+function describeApiChange(change) {
+  const quote = (value) => (change.kind === "parameter" ? `"${value}"` : value);
+  let subject = change.name;
+
+  if (change.kind === "parameter") {
+    subject = `${change.endpoint}: ${change.label} ${quote(change.name)}`;
+  } else if (change.kind === "auth") {
+    subject = `${change.endpoint}: auth`;
+  }
+
+  switch (change.change) {
+    case "renamed":
+      return `${subject} renamed to ${quote(change.renamed_to)}`;
+    case "updated":
+      return `${subject} changed from ${change.from} to ${change.to}`;
+    case "added":
+      return change.required ? `${subject} added (required)` : `${subject} added`;
+    default:
+      return `${subject} ${change.change}`;
+  }
+}
+
+/**
+ * Builds tagged search terms for API changes. Endpoints are searched by
+ * their path up to the first template parameter (docs write `/teams/42`
+ * or `/teams/:id` as often as `/teams/{id}`), removed ones also by
+ * operation ID; fields and parameters by name. Whole removed types are
+ * not searched (their names are common words, like "User"), and terms
+ * shorter than 4 characters are skipped.
+ */
+function apiChangeSearchTerms(apiChanges) {
+  const terms = [];
+  const addTerm = (token, change, renamedTo) => {
+    if (!token || token.length < 4) return;
+    terms.push(
+      renamedTo && renamedTo !== token
+        ? { token, change, renamed_to: renamedTo }
+        : { token, change }
+    );
+  };
+  // "GET /teams/{id}" -> "/teams", "Query.users" -> "users"
+  const endpointPath = (key) => key.slice(key.indexOf(" ") + 1).replace(/\/?\{.*$/, "");
+  const memberName = (name) => name.split(".").pop();
+
+  for (const apiChange of apiChanges) {
+    const change = apiChange.change === "renamed" ? "removed" : apiChange.change;
+    const renamedTo = apiChange.renamed_to;
+    const endpointTerm = apiChange.api === "openapi" ? endpointPath : memberName;
+
+    if (apiChange.kind === "endpoint") {
+      addTerm(endpointTerm(apiChange.name), change, renamedTo && endpointTerm(renamedTo));
+      addTerm(apiChange.operation_id, change);
+    } else if (apiChange.kind === "field" && apiChange.name.includes(".")) {
+      addTerm(memberName(apiChange.name), change, renamedTo && memberName(renamedTo));
+    } else if (apiChange.kind === "parameter") {
+      addTerm(apiChange.name, change, renamedTo);
+    } else if (apiChange.kind === "auth") {
+      addTerm(endpointTerm(apiChange.endpoint), change);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Splits two maps into removed keys, added keys and keys present in both.
+ */
+function diffKeys(beforeMap, afterMap) {
+  return {
+    removed: [...beforeMap.keys()].filter((key) => !afterMap.has(key)),
+    added: [...afterMap.keys()].filter((key) => !beforeMap.has(key)),
+    common: [...beforeMap.keys()].filter((key) => afterMap.has(key)),
+  };
+}
+
+/**
+ * Pairs removed keys with added keys using `isMatch(removedKey, addedKey)`,
+ * trying each matcher in turn (strongest first). Paired keys are taken out
+ * of both lists. Returns `[oldKey, newKey]` pairs.
+ */
+function pairRenamedKeys(removed, added, matchers) {
+  const pairs = [];
+
+  for (const isMatch of matchers) {
+    for (const oldKey of [...removed]) {
+      const newKey = added.find((candidate) => isMatch(oldKey, candidate));
+      if (newKey === undefined) continue;
+
+      pairs.push([oldKey, newKey]);
+      removed.splice(removed.indexOf(oldKey), 1);
+      added.splice(added.indexOf(newKey), 1);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Builds a rename matcher for `pairRenamedKeys` that pairs keys whose
+ * signatures are equal and unique among the removed and the added keys,
+ * so nothing is paired when several candidates look the same.
+ */
+function uniqueSignatureMatcher(removed, added, oldSignature, newSignature) {
+  const count = (keys, signature, value) => keys.filter((key) => signature(key) === value).length;
+
+  return (oldKey, newKey) => {
+    const value = oldSignature(oldKey);
+    return (
+      value === newSignature(newKey) &&
+      count(removed, oldSignature, value) === 1 &&
+      count(added, newSignature, value) === 1
+    );
+  };
+}
+
+/* ---- OpenAPI / Swagger ---------------------------------------------------- */
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+/**
+ * Parses an OpenAPI 3 or Swagger 2 document (YAML or JSON) into
+ * `{ operations, schemas }` maps. An empty side (added or removed file)
+ * is an empty schema.
+ */
+function parseOpenApiSchema(text) {
+  const spec = (text.trim() && parseYaml(text)) || {};
+  if (typeof spec !== "object") {
+    throw new Error("not an OpenAPI document");
+  }
+
+  const resolve = (value) => resolveLocalRef(spec, value);
+  const operations = new Map();
+
+  for (const [path, pathRef] of Object.entries(spec?.paths || {})) {
+    const pathItem = resolve(pathRef) || {};
+    const sharedParameters = pathItem.parameters || [];
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const parameters = new Map();
+      for (const parameter of [...sharedParameters, ...(operation.parameters || [])].map(resolve)) {
+        if (!parameter?.name) continue;
+        parameters.set(`${parameter.in}\u0000${parameter.name}`, {
+          name: parameter.name,
+          in: parameter.in,
+          required: Boolean(parameter.required),
+          type: describeSchemaType(resolve(parameter.schema) || parameter),
+        });
+      }
+
+      const requirements = operation.security ?? spec.security ?? [];
+      operations.set(`${method.toUpperCase()} ${path}`, {
+        operationId: operation.operationId,
+        parameters,
+        auth: describeSecurity(requirements),
+        definition: JSON.stringify({ ...operation, operationId: undefined, tags: undefined }),
+      });
+    }
+  }
+
+  const schemas = new Map();
+  const schemaDefinitions = spec?.components?.schemas || spec?.definitions || {};
+
+  for (const [name, schema] of Object.entries(schemaDefinitions)) {
+    const resolved = resolve(schema);
+    const required = new Set(resolved?.required || []);
+    const properties = new Map(
+      Object.entries(resolved?.properties || {}).map(([property, propertySchema]) => [
+        property,
+        { type: describeSchemaType(resolve(propertySchema)), required: required.has(property) },
+      ])
+    );
+    schemas.set(name, properties);
+  }
+
+  return { operations, schemas };
+}
+
+/**
+ * Follows a local `$ref` ("#/components/parameters/Limit") to its target.
+ * Other values are returned unchanged.
+ */
+function resolveLocalRef(spec, value, depth = 0) {
+  const ref = value?.$ref;
+  if (typeof ref !== "string" || !ref.startsWith("#/") || depth > 10) return value;
+
+  const target = ref
+    .slice(2)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, segment) => node?.[segment], spec);
+
+  return resolveLocalRef(spec, target, depth + 1);
+}
+
+/**
+ * Describes a schema's type for comparison, e.g. "string", "array of integer"
+ * or "User" for a `$ref`.
+ */
+function describeSchemaType(schema) {
+  if (!schema || typeof schema !== "object") return "any";
+  if (typeof schema.$ref === "string") return schema.$ref.split("/").pop();
+  if (schema.type === "array") return `array of ${describeSchemaType(schema.items)}`;
+  if (Array.isArray(schema.type)) return schema.type.join(" | ");
+  return schema.type || schema.format || "object";
+}
+
+/**
+ * Describes an operation's security requirements, e.g. "none",
+ * "bearerAuth" or "apiKey or oauth2 (read:teams)".
+ */
+function describeSecurity(requirements) {
+  const alternatives = requirements.map((requirement) => {
+    const schemes = Object.entries(requirement || {}).map(([scheme, scopes]) =>
+      scopes?.length ? `${scheme} (${[...scopes].sort().join(", ")})` : scheme
+    );
+    return schemes.length > 0 ? schemes.sort().join(" and ") : "none";
+  });
+
+  return alternatives.length > 0 ? [...new Set(alternatives)].sort().join(" or ") : "none";
+}
+
+/**
+ * Compares two parsed OpenAPI documents. Removed operations are paired with
+ * added ones as renames when they share an operation ID, have an identical
+ * definition that no other removed or added operation of the method has,
+ * or use the same method on a closely matching path.
+ */
+function diffOpenApiSchemas(before, after) {
+  const changes = [];
+  const { removed, added, common } = diffKeys(before.operations, after.operations);
+  const method = (key) => key.split(" ")[0];
+  const path = (key) => key.slice(key.indexOf(" ") + 1);
+  const sameMethod = (a, b) => method(a) === method(b);
+  const definition = (operations) => (key) => `${method(key)} ${operations.get(key).definition}`;
+
+  const renames = pairRenamedKeys(removed, added, [
+    (a, b) =>
+      Boolean(before.operations.get(a).operationId) &&
+      before.operations.get(a).operationId === after.operations.get(b).operationId,
+    uniqueSignatureMatcher(
+      removed,
+      added,
+      definition(before.operations),
+      definition(after.operations)
+    ),
+    (a, b) => sameMethod(a, b) && stringSimilarity(path(a), path(b)) >= 0.7,
+  ]);
+
+  for (const [oldKey, newKey] of renames) {
+    changes.push({ kind: "endpoint", change: "renamed", name: oldKey, renamed_to: newKey });
+  }
+  for (const key of removed) {
+    const operationId = before.operations.get(key).operationId;
+    changes.push({
+      kind: "endpoint",
+      change: "removed",
+      name: key,
+      ...(operationId && { operation_id: operationId }),
+    });
+  }
+  for (const key of added) {
+    changes.push({ kind: "endpoint", change: "added", name: key });
+  }
+
+  for (const [oldKey, newKey] of [...common.map((key) => [key, key]), ...renames]) {
+    const oldOperation = before.operations.get(oldKey);
+    const newOperation = after.operations.get(newKey);
+
+    changes.push(
+      ...diffOpenApiParameters(newKey, oldOperation.parameters, newOperation.parameters)
+    );
+
+    if (oldOperation.auth !== newOperation.auth) {
+      changes.push({
+        kind: "auth",
+        change: "updated",
+        endpoint: newKey,
+        name: "security",
+        from: oldOperation.auth,
+        to: newOperation.auth,
+      });
+    }
+  }
+
+  for (const [schemaName, oldProperties] of before.schemas) {
+    const newProperties = after.schemas.get(schemaName);
+    if (!newProperties) {
+      changes.push({ kind: "field", change: "removed", name: schemaName });
+      continue;
+    }
+    changes.push(...diffSchemaProperties(schemaName, oldProperties, newProperties));
+  }
+
+  return changes;
+}
+
+/**
+ * Compares one operation's parameters: removed, renamed (same location and
+ * type as exactly one added parameter), retyped and newly required
+ * parameters, and new required ones.
+ */
+function diffOpenApiParameters(endpoint, beforeParameters, afterParameters) {
+  const changes = [];
+  const { removed, added, common } = diffKeys(beforeParameters, afterParameters);
+  const label = (parameter) => `${parameter.in} parameter`;
+  const record = (parameter, change, extra) => ({
+    kind: "parameter",
+    change,
+    endpoint,
+    name: parameter.name,
+    label: label(parameter),
+    ...extra,
+  });
+
+  const slot = (parameters) => (key) => `${parameters.get(key).in} ${parameters.get(key).type}`;
+  const renames = pairRenamedKeys(removed, added, [
+    uniqueSignatureMatcher(removed, added, slot(beforeParameters), slot(afterParameters)),
+  ]);
+
+  for (const [oldKey, newKey] of renames) {
+    changes.push(
+      record(beforeParameters.get(oldKey), "renamed", {
+        renamed_to: afterParameters.get(newKey).name,
+      })
+    );
+  }
+  for (const key of removed) {
+    changes.push(record(beforeParameters.get(key), "removed"));
+  }
+  for (const key of added) {
+    const parameter = afterParameters.get(key);
+    if (parameter.required) changes.push(record(parameter, "added", { required: true }));
+  }
+
+  for (const key of common) {
+    const oldParameter = beforeParameters.get(key);
+    const newParameter = afterParameters.get(key);
+
+    if (oldParameter.type !== newParameter.type) {
+      changes.push(
+        record(newParameter, "updated", { from: oldParameter.type, to: newParameter.type })
+      );
+    }
+    if (!oldParameter.required && newParameter.required) {
+      changes.push(record(newParameter, "updated", { from: "optional", to: "required" }));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compares the properties of one schema: removed and retyped fields, and
+ * fields that became required.
+ */
+function diffSchemaProperties(schemaName, beforeProperties, afterProperties) {
+  const changes = [];
+
+  for (const [property, oldProperty] of beforeProperties) {
+    const name = `${schemaName}.${property}`;
+    const newProperty = afterProperties.get(property);
+
+    if (!newProperty) {
+      changes.push({ kind: "field", change: "removed", name });
+    } else if (oldProperty.type !== newProperty.type) {
+      changes.push({
+        kind: "field",
+        change: "updated",
+        name,
+        from: oldProperty.type,
+        to: newProperty.type,
+      });
+    } else if (!oldProperty.required && newProperty.required) {
+      changes.push({ kind: "field", change: "updated", name, from: "optional", to: "required" });
+    }
+  }
+
+  return changes;
+}
+
+/* ---- GraphQL SDL ---------------------------------------------------------- */
+
+/** Directives treated as auth requirements, e.g. @auth, @requiresRole, @hasScope. */
+const GRAPHQL_AUTH_DIRECTIVE = /auth|role|scope|permission|policy|requires|public|private/i;
+
+/** Root operation types; their fields are the schema's endpoints. */
+const GRAPHQL_ROOT_TYPES = new Set(["Query", "Mutation", "Subscription"]);
+
+/**
+ * Parses GraphQL SDL into a map of type name to
+ * `{ kind, directives, fields: Map<name, { type, args, directives }> }`.
+ * Enum values are fields without a type. Descriptions and comments are
+ * skipped; `extend type` definitions merge into their type.
+ */
+function parseGraphQLSchema(text) {
+  const tokens = tokenizeGraphQL(text);
+  const types = new Map();
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (token !== value) {
+      throw new Error(`expected "${value}" but found "${token ?? "end of file"}"`);
+    }
+  };
+
+  // Reads a definition, field, argument or enum value name, skipping its description
+  const nextName = () => {
+    while (peek()?.startsWith('"')) next();
+    return next();
+  };
+
+  // Reads a (possibly wrapped) type reference such as [User!]!
+  const readType = () => {
+    if (peek() === "[") {
+      next();
+      const inner = readType();
+      expect("]");
+      return peek() === "!" ? `[${inner}]${next()}` : `[${inner}]`;
+    }
+    const name = next();
+    return peek() === "!" ? `${name}${next()}` : name;
+  };
+
+  // Skips a default value or directive arguments, balancing brackets
+  const skipValue = () => {
+    let depth = 0;
+    do {
+      const token = next();
+      if (token === "(" || token === "[" || token === "{") depth++;
+      if (token === ")" || token === "]" || token === "}") depth--;
+    } while (depth > 0 && position < tokens.length);
+  };
+
+  const readDirectives = () => {
+    const directives = [];
+    while (peek() === "@") {
+      next();
+      let directive = `@${next()}`;
+      if (peek() === "(") {
+        const start = position;
+        skipValue();
+        directive += tokens
+          .slice(start, position)
+          .join(" ")
+          .replace(/([([]) /g, "$1")
+          .replace(/ ([)\]:])/g, "$1");
+      }
+      directives.push(directive);
+    }
+    return directives;
+  };
+
+  const readArguments = () => {
+    const args = new Map();
+    if (peek() !== "(") return args;
+
+    next();
+    while (peek() !== ")" && position < tokens.length) {
+      const name = nextName();
+      expect(":");
+      args.set(name, readType());
+      if (peek() === "=") {
+        next();
+        skipValue();
+      }
+      readDirectives();
+    }
+    expect(")");
+    return args;
+  };
+
+  while (position < tokens.length) {
+    let keyword = nextName();
+    if (keyword === "extend") keyword = next();
+
+    if (keyword === "directive") {
+      // directive @name(args) on LOCATIONS: skip the argument list
+      position += 2;
+      if (peek() === "(") skipValue();
+      continue;
+    }
+    if (keyword === "schema") {
+      readDirectives();
+      if (peek() === "{") skipValue();
+      continue;
+    }
+    if (!["type", "interface", "input", "enum"].includes(keyword)) {
+      // scalar and union definitions (and union members) carry no fields
+      continue;
+    }
+
+    // Skip `implements A & B` up to the directives or the body
+    const name = next();
+    while (position < tokens.length && !["{", "@"].includes(peek()) && !isGraphQLKeyword(peek())) {
+      next();
+    }
+    const type = types.get(name) || { kind: keyword, directives: [], fields: new Map() };
+    type.directives.push(...readDirectives());
+    types.set(name, type);
+
+    if (peek() !== "{") continue;
+    next();
+
+    while (peek() !== "}" && position < tokens.length) {
+      const fieldName = nextName();
+      if (keyword === "enum") {
+        type.fields.set(fieldName, { type: null, args: new Map(), directives: readDirectives() });
+        continue;
+      }
+
+      const args = readArguments();
+      expect(":");
+      const fieldType = readType();
+      if (peek() === "=") {
+        next();
+        skipValue();
+      }
+      type.fields.set(fieldName, { type: fieldType, args, directives: readDirectives() });
+    }
+    expect("}");
+  }
+
+  return types;
+}
+
+/** Whether a token starts a new top-level GraphQL definition. */
+function isGraphQLKeyword(token) {
+  return [
+    "type",
+    "interface",
+    "input",
+    "enum",
+    "union",
+    "scalar",
+    "schema",
+    "directive",
+    "extend",
+  ].includes(token);
+}
+
+/**
+ * Splits SDL into names, punctuation and string literals (descriptions and
+ * argument values), dropping comments and commas. Block strings are kept
+ * as one token.
+ */
+function tokenizeGraphQL(text) {
+  const tokenPattern =
+    /"""[\s\S]*?"""|"(?:\\.|[^"\\])*"|#[^\n]*|[,\s]+|\.\.\.|[A-Za-z_][\w]*|-?\d[\w.+-]*|[!:=@()[\]{}|&$]/g;
+  const tokens = [];
+
+  for (const [token] of text.matchAll(tokenPattern)) {
+    if (/^(#|[,\s])/.test(token)) continue;
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Compares two parsed GraphQL schemas. Fields of Query, Mutation and
+ * Subscription are endpoints; a field removed while exactly one field with
+ * the same type and arguments appears on the same type is reported as a
+ * rename.
+ */
+function diffGraphQLSchemas(before, after) {
+  const changes = [];
+
+  for (const [typeName, oldType] of before) {
+    const newType = after.get(typeName);
+    const kind = GRAPHQL_ROOT_TYPES.has(typeName) ? "endpoint" : "field";
+
+    if (!newType) {
+      if (kind === "endpoint") {
+        for (const fieldName of oldType.fields.keys()) {
+          changes.push({ kind, change: "removed", name: `${typeName}.${fieldName}` });
+        }
+      } else {
+        changes.push({ kind, change: "removed", name: typeName });
+      }
+      continue;
+    }
+
+    const oldTypeAuth = describeGraphQLAuth(oldType.directives);
+    const newTypeAuth = describeGraphQLAuth(newType.directives);
+    if (oldTypeAuth !== newTypeAuth) {
+      changes.push({
+        kind: "auth",
+        change: "updated",
+        endpoint: typeName,
+        name: "directives",
+        from: oldTypeAuth,
+        to: newTypeAuth,
+      });
+    }
+
+    const signature = (type) => (name) => {
+      const field = type.fields.get(name);
+      return JSON.stringify([field.type, [...field.args]]);
+    };
+    const { removed, added, common } = diffKeys(oldType.fields, newType.fields);
+    const renames = pairRenamedKeys(removed, added, [
+      uniqueSignatureMatcher(removed, added, signature(oldType), signature(newType)),
+    ]);
+
+    for (const fieldName of removed) {
+      changes.push({ kind, change: "removed", name: `${typeName}.${fieldName}` });
+    }
+    for (const [oldName, newName] of renames) {
+      changes.push({
+        kind,
+        change: "renamed",
+        name: `${typeName}.${oldName}`,
+        renamed_to: `${typeName}.${newName}`,
+      });
+    }
+    if (kind === "endpoint") {
+      for (const fieldName of added) {
+        changes.push({ kind, change: "added", name: `${typeName}.${fieldName}` });
+      }
+    }
+
+    for (const [oldName, newName] of [...common.map((name) => [name, name]), ...renames]) {
+      const endpoint = `${typeName}.${newName}`;
+      changes.push(
+        ...diffGraphQLField(
+          endpoint,
+          kind,
+          oldType.fields.get(oldName),
+          newType.fields.get(newName)
+        )
+      );
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compares one GraphQL field: its type, its arguments and its auth directives.
+ */
+function diffGraphQLField(endpoint, kind, oldField, newField) {
+  const changes = [];
+
+  if (oldField.type !== newField.type) {
+    changes.push({
+      kind,
+      change: "updated",
+      name: endpoint,
+      from: oldField.type,
+      to: newField.type,
+    });
+  }
+
+  const { removed, added, common } = diffKeys(oldField.args, newField.args);
+  const record = (name, change, extra) => ({
+    kind: "parameter",
+    change,
+    endpoint,
+    name,
+    label: "argument",
+    ...extra,
+  });
+
+  for (const name of removed) {
+    changes.push(record(name, "removed"));
+  }
+  for (const name of added) {
+    if (newField.args.get(name).endsWith("!"))
+      changes.push(record(name, "added", { required: true }));
+  }
+  for (const name of common) {
+    const from = oldField.args.get(name);
+    const to = newField.args.get(name);
+    if (from !== to) changes.push(record(name, "updated", { from, to }));
+  }
+
+  const oldAuth = describeGraphQLAuth(oldField.directives);
+  const newAuth = describeGraphQLAuth(newField.directives);
+  if (oldAuth !== newAuth) {
+    changes.push({
+      kind: "auth",
+      change: "updated",
+      endpoint,
+      name: "directives",
+      from: oldAuth,
+      to: newAuth,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Describes the auth directives among a type's or field's directives for
+ * comparison ("none" when there are none).
+ */
+function describeGraphQLAuth(directives) {
+  const authDirectives = directives.filter((directive) => GRAPHQL_AUTH_DIRECTIVE.test(directive));
+  return authDirectives.length > 0 ? authDirectives.sort().join(" ") : "none";
+}
+
+export { apiChangeSearchTerms, describeApiChange, extractApiChanges, selectApiSchemaParser };
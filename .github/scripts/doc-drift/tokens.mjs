@@ -0,0 +1,472 @@
+/**
+ * Extracts documentation-relevant tokens from diffs, tags them as removed,
+ * added or moved and pairs likely renames.
+ */
+
+import { Config } from "./config.mjs";
+import { isChangedLine } from "./utils.mjs";
+
+/* ============================================================================
+   TOKEN EXTRACTION
+   
+   Identifies documentation-relevant tokens from code changes.
+   Not all code changes need doc updates, but certain patterns almost always do:
+   API paths, UI strings, CLI flags, environment variables.
+============================================================================ */
+
+/**
+ * How strongly each kind of token change suggests drift, used to decide
+ * which tokens and evidence reach the model first. A removed token that
+ * the docs still mention is the strongest signal there is.
+ */
+const CHANGE_PRIORITY = {
+  removed: 3,
+  updated: 2,
+  added: 1,
+  moved: 0,
+};
+
+/**
+ * Extracts tokens from a patch that commonly require documentation updates.
+ *
+ * Target patterns:
+ * - Quoted strings (UI labels, messages, identifiers)
+ * - URL paths (API endpoints)
+ * - CLI flags (--option-name)
+ * - Environment variables (UPPER_CASE_WITH_UNDERSCORES)
+ * - File references (containing dots or slashes)
+ *
+ * Files in a supported language go through a symbol extractor instead of
+ * the generic regex heuristics (see LANGUAGE EXTRACTORS).
+ *
+ * Returns records `{ token, change }` where change is "removed", "added" or
+ * "moved" (present on both removed and added lines, so not actually gone).
+ * Likely renames carry `renamed_to` / `renamed_from`.
+ */
+function extractDocRelevantTokens(patch, filename = "") {
+  if (!patch) return [];
+
+  const language = selectLanguageExtractor(filename);
+  const extractTokens = (line) => extractLineTokens(line, language);
+
+  const removed = new Set();
+  const added = new Set();
+  const renames = new Map();
+
+  for (const block of splitChangeBlocks(patch)) {
+    const removedByLine = block.removed.map(extractTokens);
+    const addedByLine = block.added.map(extractTokens);
+
+    removedByLine.forEach((tokens) => tokens.forEach((token) => removed.add(token)));
+    addedByLine.forEach((tokens) => tokens.forEach((token) => added.add(token)));
+
+    // Diffs list a rewritten line as "-old" then "+new", so lines at the same
+    // position in a block are usually before/after versions of each other.
+    const pairedLines = Math.min(removedByLine.length, addedByLine.length);
+    for (let i = 0; i < pairedLines; i++) {
+      detectRenames(removedByLine[i], addedByLine[i], renames);
+    }
+  }
+
+  return filterAndLimitTokens(tagTokenChanges(removed, added, renames));
+}
+
+/**
+ * Splits a patch into change blocks: maximal runs of removed/added lines.
+ * Context lines and hunk headers end a block.
+ */
+function splitChangeBlocks(patch) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of patch.split("\n")) {
+    if (!isChangedLine(line)) {
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      current = { removed: [], added: [] };
+      blocks.push(current);
+    }
+
+    // Drop the diff sign so a token reads the same on both sides
+    (line[0] === "-" ? current.removed : current.added).push(line.slice(1));
+  }
+
+  return blocks;
+}
+
+/**
+ * Extracts the documentation-relevant tokens from a single changed line,
+ * using the language's symbol rules when one is known.
+ */
+function extractLineTokens(line, language) {
+  const tokens = new Set();
+
+  if (!language) {
+    extractQuotedStrings(line, tokens);
+    extractTokenLikePatterns(line, tokens);
+    return tokens;
+  }
+
+  extractLanguageSymbols(line, language, tokens);
+
+  // Quoted strings still carry UI text and messages, but import specifiers
+  // are module plumbing that would crowd out real API names.
+  if (!language.importLine.test(line)) {
+    extractQuotedStrings(line, tokens);
+  }
+
+  return tokens;
+}
+
+/**
+ * Classifies a token so renames are only paired within the same kind
+ * (a path is never "renamed" to an environment variable). Prose and
+ * other free text is "text".
+ */
+function classifyToken(token) {
+  if (/\s/.test(token)) return "text";
+  if (/^--?[A-Za-z]/.test(token)) return "flag";
+  if (token.includes("/")) return "path";
+  if (/^[A-Z0-9_]+$/.test(token)) return "constant";
+  if (token.includes(".")) return "file";
+  if (/^[A-Za-z_$][\w$-]*$/.test(token)) return "identifier";
+  return "text";
+}
+
+/**
+ * Scores how alike two strings are (Dice coefficient over character bigrams).
+ */
+function stringSimilarity(a, b) {
+  const bigrams = (value) => {
+    const counts = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const bigram = value.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const aBigrams = bigrams(a.toLowerCase());
+  const bBigrams = bigrams(b.toLowerCase());
+  let shared = 0;
+
+  for (const [bigram, count] of aBigrams) {
+    shared += Math.min(count, bBigrams.get(bigram) || 0);
+  }
+
+  const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/** Minimum renameSimilarity for two tokens to be paired as a rename. */
+const MIN_RENAME_SIMILARITY = 0.4;
+
+/**
+ * Scores how alike two names are: the better of their character similarity
+ * and the share of name parts (split at punctuation and case changes) they
+ * have in common, so "/v1/teams" and "/v1/groups" still score 0.5.
+ */
+function renameSimilarity(a, b) {
+  const parts = (token) =>
+    new Set(
+      token
+        .split(/[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])/)
+        .filter(Boolean)
+        .map((part) => part.toLowerCase())
+    );
+
+  const aParts = parts(a);
+  const bParts = parts(b);
+  const shared = [...aParts].filter((part) => bParts.has(part)).length;
+  const total = aParts.size + bParts.size;
+
+  return Math.max(stringSimilarity(a, b), total === 0 ? 0 : (2 * shared) / total);
+}
+
+/**
+ * Pairs tokens that disappear from a line with similar tokens of the same
+ * kind that appear in its rewritten version, e.g. "/v1/teams" -> "/v1/groups"
+ * or "--log-level" -> "--log-format". Free text is never paired: a rewritten
+ * sentence is not a rename. Records matches in `renames` (old -> new).
+ */
+function detectRenames(removedTokens, addedTokens, renames) {
+  const candidates = [...addedTokens].filter((token) => !removedTokens.has(token));
+
+  for (const oldToken of removedTokens) {
+    if (addedTokens.has(oldToken) || renames.has(oldToken)) continue;
+
+    const kind = classifyToken(oldToken);
+    if (kind === "text") continue;
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const newToken of candidates) {
+      if (classifyToken(newToken) !== kind) continue;
+
+      const score = renameSimilarity(oldToken, newToken);
+      if (score > bestScore) {
+        best = newToken;
+        bestScore = score;
+      }
+    }
+
+    if (best && bestScore >= MIN_RENAME_SIMILARITY) {
+      renames.set(oldToken, best);
+      candidates.splice(candidates.indexOf(best), 1);
+    }
+  }
+}
+
+/**
+ * Turns removed/added token sets into tagged token records.
+ */
+function tagTokenChanges(removed, added, renames) {
+  const records = [];
+  const renamedFrom = new Map([...renames].map(([oldToken, newToken]) => [newToken, oldToken]));
+
+  for (const token of removed) {
+    if (added.has(token)) {
+      records.push({ token, change: "moved" });
+    } else {
+      const record = { token, change: "removed" };
+      if (renames.has(token)) record.renamed_to = renames.get(token);
+      records.push(record);
+    }
+  }
+
+  for (const token of added) {
+    if (removed.has(token)) continue;
+
+    const record = { token, change: "added" };
+    if (renamedFrom.has(token)) record.renamed_from = renamedFrom.get(token);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Extracts quoted strings from a line of code.
+ * Handles single, double, and template literal quotes.
+ *
+ * Quoted strings often contain user-facing text, API endpoints,
+ * or configuration values—all documentation-worthy.
+ */
+function extractQuotedStrings(line, tokens) {
+  const quotedStringPattern = /(["'`])((?:\\\1|.)*?)\1/g;
+  let match;
+
+  while ((match = quotedStringPattern.exec(line)) !== null) {
+    const value = match[2]?.trim();
+    const isReasonableLength = value && value.length >= 4 && value.length <= 120;
+    if (isReasonableLength) {
+      tokens.add(value);
+    }
+  }
+}
+
+/**
+ * Extracts token-like patterns that suggest documentation relevance.
+ *
+ * Heuristics:
+ * - Contains "/" → likely a path or URL
+ * - Contains "--" → likely a CLI flag
+ * - ALL_CAPS → likely an environment variable or constant
+ * - Contains "." → likely a filename or domain
+ */
+function extractTokenLikePatterns(line, tokens) {
+  const tokenPattern = /([A-Za-z0-9_./-]{6,80})/g;
+  let match;
+
+  while ((match = tokenPattern.exec(line)) !== null) {
+    const token = match[1];
+    const looksLikePath = token.includes("/");
+    const looksLikeCliFlag = token.includes("--");
+    const looksLikeEnvVar = token === token.toUpperCase();
+    const looksLikeFilename = token.includes(".");
+
+    if (looksLikePath || looksLikeCliFlag || looksLikeEnvVar || looksLikeFilename) {
+      tokens.add(token);
+    }
+  }
+}
+
+/**
+ * Filters out noisy tokens and limits the total count, keeping the
+ * strongest drift signals (removed tokens) when the cap is reached.
+ * Semantic versioning strings are filtered because version bumps
+ * alone rarely indicate documentation drift.
+ */
+function filterAndLimitTokens(records) {
+  const semverPattern = /^\d+\.\d+\.\d+/;
+
+  return records
+    .filter(({ token }) => !semverPattern.test(token))
+    .sort((a, b) => CHANGE_PRIORITY[b.change] - CHANGE_PRIORITY[a.change])
+    .slice(0, Config.limits.maxTokens);
+}
+
+/**
+ * Merges token records from several files. A token removed in one file and
+ * added in another has moved rather than disappeared.
+ */
+function mergeTokenRecords(recordsByToken, record) {
+  const existing = recordsByToken.get(record.token);
+
+  if (!existing) {
+    recordsByToken.set(record.token, { ...record });
+    return;
+  }
+
+  if (existing.change !== record.change) {
+    existing.change = "moved";
+  }
+  existing.renamed_to ??= record.renamed_to;
+  existing.renamed_from ??= record.renamed_from;
+}
+
+/* ============================================================================
+   LANGUAGE EXTRACTORS
+
+   Per-language rules that recognise the parts of a change users actually
+   read about: exported functions and classes, CLI option definitions, route
+   declarations and environment variable reads. Files in other languages
+   fall back to the generic regex heuristics above.
+
+   To support a new language, add an entry with its file extensions, a
+   pattern for import lines and a list of { pattern, token } rules.
+============================================================================ */
+
+/** Pulls `--flag` names out of quoted option definitions like "-p, --port <n>". */
+const QUOTED_LONG_FLAG_RULE = {
+  pattern: /["'`][^"'`]*?(--[A-Za-z][\w-]*)/g,
+  token: (match) => match[1],
+};
+
+const LANGUAGE_EXTRACTORS = [
+  {
+    name: "javascript",
+    extensions: [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"],
+    importLine: /^\s*import\b|^\s*export\s+.*\bfrom\s+["']|\brequire\(\s*["']/,
+    rules: [
+      // export [default] [async] function name / export class Name / export const name
+      {
+        pattern:
+          /\bexport\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum|abstract\s+class)\s+([A-Za-z_$][\w$]*)/g,
+        token: (match) => match[1],
+      },
+      // module.exports.name = / exports.name =
+      { pattern: /\b(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/g, token: (match) => match[1] },
+      // app.get("/path") / router.post('/path') / fastify.route(...)
+      {
+        pattern:
+          /\b(?:app|router|server|api|fastify|route)\.(?:get|post|put|patch|delete|all|use|head|options)\(\s*["'`](\/[^"'`]*)/g,
+        token: (match) => match[1],
+      },
+      // .command("name") in commander/yargs
+      { pattern: /\.command\(\s*["'`]([\w:-]+)/g, token: (match) => match[1] },
+      // process.env.NAME / process.env["NAME"] / import.meta.env.NAME
+      {
+        pattern:
+          /\b(?:process\.env|import\.meta\.env)(?:\.([A-Z_][A-Z0-9_]*)|\[\s*["'`]([A-Z_][A-Z0-9_]*)["'`]\s*\])/g,
+        token: (match) => match[1] || match[2],
+      },
+      QUOTED_LONG_FLAG_RULE,
+    ],
+  },
+  {
+    name: "python",
+    extensions: [".py"],
+    importLine: /^\s*(?:from\s+\S+\s+)?import\s/,
+    rules: [
+      // Module-level (public) functions and classes
+      { pattern: /^(?:async\s+)?def\s+([A-Za-z]\w*)/g, token: (match) => match[1] },
+      { pattern: /^class\s+([A-Za-z]\w*)/g, token: (match) => match[1] },
+      // @app.get("/path") / @router.post / @bp.route (Flask, FastAPI)
+      {
+        pattern:
+          /@\w+\.(?:get|post|put|patch|delete|route|api_route|websocket)\(\s*["'](\/[^"']*)/g,
+        token: (match) => match[1],
+      },
+      // Django: path("users/<int:id>/", ...)
+      { pattern: /\b(?:re_)?path\(\s*r?["']([^"']+\/)["']/g, token: (match) => match[1] },
+      // os.environ["NAME"] / os.environ.get("NAME") / os.getenv("NAME")
+      {
+        pattern: /\bos\.(?:environ(?:\.get)?\s*[([]|getenv\()\s*["']([A-Za-z_][A-Za-z0-9_]*)["']/g,
+        token: (match) => match[1],
+      },
+      QUOTED_LONG_FLAG_RULE,
+    ],
+  },
+  {
+    name: "go",
+    extensions: [".go"],
+    importLine: /^\s*import\b|^\s*(?:\w+\s+)?"[\w./-]+"\s*$/,
+    rules: [
+      // Exported functions, methods, types, vars and consts start with a capital
+      { pattern: /^func\s+(?:\([^)]*\)\s*)?([A-Z]\w*)/g, token: (match) => match[1] },
+      { pattern: /^(?:type|var|const)\s+([A-Z]\w*)/g, token: (match) => match[1] },
+      // http.HandleFunc("/path") / r.Get("/path") / mux.Handle("GET /path")
+      {
+        pattern:
+          /\.(?:HandleFunc|Handle|GET|POST|PUT|PATCH|DELETE|Get|Post|Put|Patch|Delete|Group)\(\s*"(?:[A-Z]+\s+)?(\/[^"]*)"/g,
+        token: (match) => match[1],
+      },
+      // cobra/pflag: Flags().StringP("name", ...) -> --name
+      {
+        pattern: /Flags\(\)\.\w+\(\s*"([\w-]+)"/g,
+        token: (match) => `--${match[1]}`,
+      },
+      // standard library flag.String("name", ...) -> -name
+      {
+        pattern:
+          /\bflag\.(?:String|Bool|Int|Int64|Uint|Uint64|Float64|Duration|Var|StringVar|BoolVar|IntVar|DurationVar)\(\s*(?:&?\w+,\s*)?"([\w-]+)"/g,
+        token: (match) => `-${match[1]}`,
+      },
+      // os.Getenv("NAME") / os.LookupEnv("NAME")
+      {
+        pattern: /\bos\.(?:Getenv|LookupEnv)\(\s*"([A-Za-z_][A-Za-z0-9_]*)"/g,
+        token: (match) => match[1],
+      },
+    ],
+  },
+];
+
+/**
+ * Selects the language extractor for a file by extension.
+ * Returns null for unknown file types, which use the regex fallback.
+ */
+function selectLanguageExtractor(filename) {
+  const lowerName = filename.toLowerCase();
+  return (
+    LANGUAGE_EXTRACTORS.find((language) =>
+      language.extensions.some((extension) => lowerName.endsWith(extension))
+    ) || null
+  );
+}
+
+/**
+ * Applies a language's symbol rules to one line of code.
+ */
+function extractLanguageSymbols(line, language, tokens) {
+  for (const rule of language.rules) {
+    for (const match of line.matchAll(rule.pattern)) {
+      const token = rule.token(match);
+      if (token && token.length >= 3) {
+        tokens.add(token);
+      }
+    }
+  }
+}
+
+export {
+  CHANGE_PRIORITY,
+  classifyToken,
+  extractDocRelevantTokens,
+  mergeTokenRecords,
+  stringSimilarity,
+};
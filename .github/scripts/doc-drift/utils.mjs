@@ -0,0 +1,154 @@
+/**
+ * Small helpers shared across the modules.
+ */
+
+/* ============================================================================
+   UTILITY FUNCTIONS
+============================================================================ */
+
+/**
+ * Validates that a required environment variable exists.
+ * Fails fast with a clear error message if missing.
+ */
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing required environment variable: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Truncates a string to a maximum length.
+ * Prevents memory issues with large diffs or documents.
+ */
+function truncate(str, maxLength) {
+  if (!str) return "";
+  if (str.length <= maxLength) return str;
+  return str.slice(0, maxLength) + "\n...[truncated]...";
+}
+
+/**
+ * Checks if a diff line represents an actual code change.
+ * Excludes diff metadata lines (--- and +++ headers).
+ */
+function isChangedLine(line) {
+  const isAddedOrRemoved = line.startsWith("+") || line.startsWith("-");
+  const isDiffMetadata = line.startsWith("+++ ") || line.startsWith("--- ");
+  return isAddedOrRemoved && !isDiffMetadata;
+}
+
+/**
+ * Converts a glob pattern to an anchored regular expression.
+ *
+ * Supports `*` (within a path segment), `**` (across segments),
+ * `?` (one character) and `{a,b}` alternatives.
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*" && glob[i + 1] === "*") {
+      const isWholeSegment = glob[i + 2] === "/";
+      source += isWholeSegment ? "(?:.*/)?" : ".*";
+      i += isWholeSegment ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Roughly estimates the token count of a prompt payload, at about four
+ * characters per token.
+ */
+function estimateTokens(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Packs items into consecutive groups whose estimated size stays within
+ * the budget. An item larger than the budget gets a group of its own.
+ */
+function packByBudget(items, sizeOf, budget) {
+  const groups = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const item of items) {
+    const size = sizeOf(item);
+    if (current.length > 0 && currentSize + size > budget) {
+      groups.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(item);
+    currentSize += size;
+  }
+
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in
+ * flight. Results keep the order of the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Compiles glob patterns into one predicate that matches a path against
+ * any of them.
+ */
+function compileGlobs(globs) {
+  const patterns = globs.map(globToRegExp);
+  return (path) => patterns.some((pattern) => pattern.test(path));
+}
+
+/** Returns the last segment of a repo-relative path. */
+function basename(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+export {
+  basename,
+  compileGlobs,
+  estimateTokens,
+  globToRegExp,
+  isChangedLine,
+  mapWithConcurrency,
+  packByBudget,
+  requireEnv,
+  truncate,
+};